@@ -0,0 +1,12 @@
+const path = require('path');
+
+// Personal data exports. DATA_EXPORT_DIR sets where finished archives are
+// kept (default exports/ in the project; instances behind a load balancer
+// need a shared directory). Archives can be downloaded for
+// DATA_EXPORT_EXPIRY_HOURS after they are built.
+module.exports = {
+  directory: path.resolve(process.env.DATA_EXPORT_DIR || path.join(__dirname, '..', 'exports')),
+  expiryHours: parseFloat(process.env.DATA_EXPORT_EXPIRY_HOURS) || 48,
+  // How often the worker looks for pending exports and expired archives
+  intervalSeconds: parseInt(process.env.DATA_EXPORT_INTERVAL_SECONDS, 10) || 30
+};
@@ -0,0 +1,6 @@
+// How long after posting, and how many times, a tweet or comment can be
+// edited. EDIT_WINDOW_MINUTES and EDIT_MAX_COUNT override the defaults.
+module.exports = {
+  windowMinutes: parseFloat(process.env.EDIT_WINDOW_MINUTES) || 30,
+  maxEdits: parseInt(process.env.EDIT_MAX_COUNT, 10) || 5
+};
@@ -0,0 +1,20 @@
+// Limits for uploaded media. MEDIA_MAX_IMAGE_MB, MEDIA_MAX_GIF_MB and
+// MEDIA_MAX_VIDEO_MB override the size limits.
+const megabytes = (name, fallback) => (parseFloat(process.env[name]) || fallback) * 1024 * 1024;
+
+const maxBytes = {
+  image: megabytes('MEDIA_MAX_IMAGE_MB', 5),
+  gif: megabytes('MEDIA_MAX_GIF_MB', 15),
+  video: megabytes('MEDIA_MAX_VIDEO_MB', 50)
+};
+
+module.exports = {
+  maxBytes,
+  // Uploads are buffered in memory, so nothing larger is accepted at all
+  maxUploadBytes: Math.max(...Object.values(maxBytes)),
+  // A tweet carries up to this many images, or a single video or GIF
+  maxImagesPerTweet: 4,
+  maxAltTextLength: 1000,
+  // Uploads never attached to anything are purged after this long
+  orphanHours: 24
+};
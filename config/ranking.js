@@ -0,0 +1,50 @@
+// Weights for the "For You" timeline. Every value can be overridden with a
+// JSON object in FOR_YOU_WEIGHTS, e.g. FOR_YOU_WEIGHTS='{"halfLifeHours":12}'.
+const defaults = {
+  // How far back candidates are gathered from
+  windowHours: 48,
+  // Age at which a tweet's score has halved
+  halfLifeHours: 6,
+  // Engagement is log-damped: log(1 + likes*like + retweets*retweet + replies*reply)
+  engagement: 1,
+  like: 1,
+  retweet: 2,
+  reply: 1.5,
+  // Based on how often the viewer liked or retweeted the author recently
+  affinity: 1.5,
+  // Based on how many accounts the viewer follows retweeted the tweet
+  socialProof: 1,
+  // Base score for each way a tweet became a candidate; a tweet found
+  // several ways gets the highest
+  sources: {
+    following: 2,
+    network: 1,
+    trending: 0.5
+  },
+  // Applied across the whole ranked candidate set, not per page: each
+  // further tweet by the same author is multiplied by `authorDecay`, and
+  // no author gets more than `maxPerAuthor` tweets in the ranking
+  authorDecay: 0.6,
+  maxPerAuthor: 3
+};
+
+const parseOverrides = () => {
+  if (!process.env.FOR_YOU_WEIGHTS) {
+    return {};
+  }
+  
+  try {
+    return JSON.parse(process.env.FOR_YOU_WEIGHTS);
+  } catch (error) {
+    console.error('Ignoring invalid FOR_YOU_WEIGHTS:', error.message);
+    return {};
+  }
+};
+
+const overrides = parseOverrides();
+
+module.exports = {
+  ...defaults,
+  ...overrides,
+  sources: { ...defaults.sources, ...overrides.sources }
+};
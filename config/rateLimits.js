@@ -0,0 +1,45 @@
+// Request limits per route group. "ip" buckets count every request from an
+// address; "user" buckets count per signed-in user and fall back to the
+// address for anonymous requests, so they must run after the auth middleware.
+//
+// Any limit can be overridden with RATE_LIMIT_<NAME>_MAX and
+// RATE_LIMIT_<NAME>_WINDOW (in seconds), e.g. RATE_LIMIT_LOGIN_MAX=20.
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const defaults = {
+  // Every API request
+  api: { windowMs: 15 * MINUTE, max: 1000, by: 'ip' },
+  login: { windowMs: 15 * MINUTE, max: 20, by: 'ip' },
+  register: { windowMs: HOUR, max: 10, by: 'ip' },
+  refresh: { windowMs: 15 * MINUTE, max: 60, by: 'ip' },
+  // Requests that send email
+  email: { windowMs: HOUR, max: 5, by: 'user' },
+  // New tweets, quotes, replies and comments
+  post: { windowMs: HOUR, max: 100, by: 'user' },
+  // Likes and retweets
+  engagement: { windowMs: 15 * MINUTE, max: 300, by: 'user' },
+  follow: { windowMs: 15 * MINUTE, max: 100, by: 'user' },
+  message: { windowMs: MINUTE, max: 30, by: 'user' },
+  report: { windowMs: HOUR, max: 20, by: 'user' },
+  // Personal data archives, which are expensive to build
+  export: { windowMs: 24 * HOUR, max: 3, by: 'user' }
+};
+
+const envNumber = (name) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? undefined : value;
+};
+
+module.exports = Object.fromEntries(
+  Object.entries(defaults).map(([name, limit]) => {
+    const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+    const windowSeconds = envNumber(`${prefix}_WINDOW`);
+    
+    return [name, {
+      ...limit,
+      max: envNumber(`${prefix}_MAX`) ?? limit.max,
+      windowMs: windowSeconds ? windowSeconds * 1000 : limit.windowMs
+    }];
+  })
+);
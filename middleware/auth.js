@@ -1,6 +1,26 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Resolve the user and session an access token was issued for. Throws if
+// the token is invalid or its session has been revoked or has expired;
+// the user is null if it no longer exists.
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  
+  const session = decoded.sid && await Session.findById(decoded.sid);
+  
+  if (!session || !session.isActive() || !session.user.equals(decoded.id)) {
+    throw new Error('Session is no longer valid');
+  }
+  
+  const user = await User.findById(decoded.id).select('-password');
+  
+  return { user, session };
+};
+
+exports.authenticateToken = authenticateToken;
 
 // Middleware to verify JWT token
 exports.protect = async (req, res, next) => {
@@ -18,16 +38,20 @@ exports.protect = async (req, res, next) => {
     }
     
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
+      // Verify token and get user and session from it
+      const { user, session } = await authenticateToken(token);
+      req.user = user;
+      req.sessionId = session._id;
       
       if (!req.user) {
         return res.status(404).json({ message: 'User not found' });
       }
       
+      const restriction = req.user.restriction();
+      if (restriction) {
+        return res.status(403).json(restriction);
+      }
+      
       next();
     } catch (error) {
       return res.status(401).json({ message: 'Not authorized, token failed' });
@@ -36,3 +60,34 @@ exports.protect = async (req, res, next) => {
     next(error);
   }
 };
+
+// Middleware that identifies the user when a valid token is sent, but lets
+// anonymous requests through. Used by public routes that tailor results to
+// the viewer.
+exports.optionalAuth = async (req, res, next) => {
+  try {
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      const { user, session } = await authenticateToken(req.headers.authorization.split(' ')[1]);
+      
+      // Suspended and banned users browse like anyone signed out
+      if (user && !user.restriction()) {
+        req.user = user;
+        req.sessionId = session._id;
+      }
+    }
+  } catch (error) {
+    // An invalid token is treated the same as no token
+  }
+  
+  next();
+};
+
+// Middleware allowing only users with one of the given roles. Must run
+// after protect.
+exports.authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Not authorized for this action' });
+  }
+  
+  next();
+};
@@ -0,0 +1,14 @@
+const { parsePageParams } = require('../utils/pagination');
+
+// Middleware to parse cursor pagination params into req.page. Cursors are
+// checked with `isValidCursor`, which defaults to paginateQuery's shape.
+exports.paginate = (defaultLimit, isValidCursor) => (req, res, next) => {
+  const page = parsePageParams(req.query, defaultLimit, isValidCursor);
+  
+  if (!page) {
+    return res.status(400).json({ message: 'Invalid cursor' });
+  }
+  
+  req.page = page;
+  next();
+};
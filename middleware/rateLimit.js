@@ -0,0 +1,48 @@
+const limits = require('../config/rateLimits');
+const { getRateLimitStore } = require('../services/rateLimit');
+
+// Middleware that limits requests using one of the buckets in
+// config/rateLimits.js. Sets the RateLimit-* headers on every response and
+// rejects requests over the limit with 429.
+exports.rateLimit = (name) => {
+  const limit = limits[name];
+  
+  if (!limit) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+  
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === 'false') {
+      return next();
+    }
+    
+    const subject = limit.by === 'user' && req.user
+      ? `user:${req.user._id}`
+      : `ip:${req.ip}`;
+    
+    let result;
+    try {
+      result = await getRateLimitStore().increment(`${name}:${subject}`, limit.windowMs);
+    } catch (error) {
+      // An unavailable store should not take the API down with it
+      console.error(error);
+      return next();
+    }
+    
+    const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+    
+    res.set({
+      'RateLimit-Policy': `${limit.max};w=${Math.round(limit.windowMs / 1000)}`,
+      'RateLimit-Limit': limit.max,
+      'RateLimit-Remaining': Math.max(0, limit.max - result.count),
+      'RateLimit-Reset': resetSeconds
+    });
+    
+    if (result.count > limit.max) {
+      res.set('Retry-After', resetSeconds);
+      return res.status(429).json({ message: 'Too many requests, please try again later' });
+    }
+    
+    next();
+  };
+};
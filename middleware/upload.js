@@ -0,0 +1,30 @@
+const multer = require('multer');
+const mediaConfig = require('../config/media');
+
+// Uploads are held in memory until services/media has checked their
+// type and size and handed them to the media store
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: mediaConfig.maxUploadBytes }
+});
+
+// Answer upload problems (too large, unexpected field) with a 400 rather
+// than letting them reach the error handler as server errors
+const handleUploadErrors = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Files cannot be larger than ${mediaConfig.maxUploadBytes / (1024 * 1024)} MB`
+        : error.message;
+      return res.status(400).json({ message });
+    }
+    next(error);
+  });
+};
+
+// Accept one file in `field` as req.file
+exports.uploadFile = (field) => handleUploadErrors(upload.single(field));
+
+// Accept files in several fields as req.files, e.g.
+// [{ name: 'profilePicture', maxCount: 1 }]
+exports.uploadFields = (fields) => handleUploadErrors(upload.fields(fields));
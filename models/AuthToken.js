@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Single-use token sent by email for password resets and address checks.
+// Only a hash of the token is stored.
+const AuthTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['password_reset', 'email_verification', 'email_change'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Address being verified (verification and email change tokens)
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+AuthTokenSchema.index({ user: 1, type: 1 });
+// Expired tokens are removed by MongoDB
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', AuthTokenSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// A named group of a user's bookmarks
+const BookmarkFolderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a folder name'],
+    trim: true,
+    maxlength: [50, 'Folder name cannot be more than 50 characters']
+  }
+}, {
+  timestamps: true
+});
+
+BookmarkFolderSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('BookmarkFolder', BookmarkFolderSchema);
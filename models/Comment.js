@@ -1,5 +1,6 @@
 
 const mongoose = require('mongoose');
+const EntitiesSchema = require('./EntitiesSchema');
 
 const CommentSchema = new mongoose.Schema({
   user: {
@@ -17,10 +18,41 @@ const CommentSchema = new mongoose.Schema({
     required: [true, 'Please provide comment content'],
     maxlength: [280, 'Comment cannot be more than 280 characters']
   },
-  likes: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }]
+  // Number of Like documents for this comment
+  likeCount: {
+    type: Number,
+    default: 0
+  },
+  // Copy of the author's isPrivate, so visibility can be filtered in queries
+  authorPrivate: {
+    type: Boolean,
+    default: false
+  },
+  entities: {
+    type: EntitiesSchema,
+    default: () => ({})
+  },
+  // Normalised (lowercase, no "#") hashtags, for hashtag feeds and trends
+  hashtags: [{
+    type: String
+  }],
+  // Whether the content was changed after posting; earlier versions are
+  // kept as Revisions
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editCount: {
+    type: Number,
+    default: 0
+  },
+  editedAt: {
+    type: Date
+  },
+  // Set when a moderator hides this from everyone
+  hiddenAt: {
+    type: Date
+  }
 }, {
   timestamps: true
 });
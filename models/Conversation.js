@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const ConversationSchema = new mongoose.Schema({
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }],
+  isGroup: {
+    type: Boolean,
+    default: false
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Conversation name cannot be more than 50 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Sorted participant ids of a one-to-one conversation, so that each pair
+  // of users shares a single conversation
+  directKey: {
+    type: String
+  },
+  lastMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Read receipts: how far each participant has read
+  readState: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    lastReadAt: {
+      type: Date
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+ConversationSchema.index({ participants: 1, lastMessageAt: -1 });
+ConversationSchema.index(
+  { directKey: 1 },
+  { unique: true, partialFilterExpression: { directKey: { $exists: true } } }
+);
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
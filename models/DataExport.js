@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A user's request for a copy of their data. Pending exports are built in
+// the background by services/dataExport.js; the finished archive can be
+// downloaded until it expires.
+const DataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  // Set while an instance is building the archive. A pending export whose
+  // lease has run out was abandoned by a crashed instance.
+  startedAt: {
+    type: Date
+  },
+  leaseExpiresAt: {
+    type: Date
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String
+  },
+  // Archive file name in the export directory, and its size in bytes
+  file: {
+    type: String
+  },
+  size: {
+    type: Number
+  },
+  completedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Only one export per user is built at a time
+DataExportSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+DataExportSchema.index({ user: 1, createdAt: -1 });
+DataExportSchema.index({ status: 1, leaseExpiresAt: 1 });
+DataExportSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('DataExport', DataExportSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// An unpublished tweet. Drafts without a scheduledAt wait for their author;
+// scheduled ones are published by the scheduler once scheduledAt passes.
+//
+// Status moves draft <-> scheduled -> publishing -> published (or failed).
+// Authors can only edit or cancel drafts that are not being published.
+const DraftSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    maxlength: [280, 'Tweet cannot be more than 280 characters'],
+    default: ''
+  },
+  // Uploaded media, held for the draft until it is published
+  media: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  }],
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet'
+  },
+  scheduledAt: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'publishing', 'published', 'failed'],
+    default: 'draft'
+  },
+  // _id reserved for the published tweet when publishing starts, so a
+  // retried publish cannot create the tweet twice
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet'
+  },
+  // A publishing draft whose lease has run out was abandoned by a crashed
+  // worker and may be claimed again
+  leaseExpiresAt: {
+    type: Date
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Why publishing failed, for the author
+  error: {
+    type: String
+  },
+  publishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+DraftSchema.index({ user: 1, status: 1, updatedAt: -1 });
+DraftSchema.index({ user: 1, status: 1, scheduledAt: 1 });
+// The scheduler's queues: due drafts and abandoned publishes
+DraftSchema.index({ status: 1, scheduledAt: 1 });
+DraftSchema.index({ status: 1, leaseExpiresAt: 1 });
+
+module.exports = mongoose.model('Draft', DraftSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Hashtags and @mentions parsed out of tweet or comment content, with
+// [start, end) offsets into the content (see utils/entities.js)
+const EntitiesSchema = new mongoose.Schema({
+  hashtags: [{
+    _id: false,
+    text: String,
+    indices: [Number]
+  }],
+  mentions: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    username: String,
+    indices: [Number]
+  }]
+}, {
+  _id: false
+});
+
+module.exports = EntitiesSchema;
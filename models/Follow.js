@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A user following another user
+const FollowSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  followed: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+FollowSchema.index({ follower: 1, followed: 1 }, { unique: true });
+FollowSchema.index({ followed: 1, createdAt: -1 });
+FollowSchema.index({ follower: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Follow', FollowSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Pending request to follow a private account. Approving it creates the
+// follow relationship and deletes the request; rejecting just deletes it.
+const FollowRequestSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+FollowRequestSchema.index({ requester: 1, target: 1 }, { unique: true });
+FollowRequestSchema.index({ target: 1, createdAt: -1 });
+
+module.exports = mongoose.model('FollowRequest', FollowRequestSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A user liking a tweet or a comment
+const LikeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Tweet', 'Comment'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  // Author of the liked tweet or comment, so likes can be grouped by author
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One like per user and target, however many requests race
+LikeSchema.index({ user: 1, targetType: 1, target: 1 }, { unique: true });
+LikeSchema.index({ targetType: 1, target: 1, createdAt: -1 });
+LikeSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Like', LikeSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A curated group of accounts whose tweets make up their own timeline
+const ListSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a list name'],
+    trim: true,
+    maxlength: [25, 'List name cannot be more than 25 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Description cannot be more than 100 characters'],
+    default: ''
+  },
+  // Private lists are only visible to their owner
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Number of ListSubscription documents for this list
+  subscriberCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+ListSchema.index({ owner: 1, createdAt: -1 });
+ListSchema.index({ members: 1 });
+
+module.exports = mongoose.model('List', ListSchema);
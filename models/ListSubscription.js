@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A user following someone else's public list
+const ListSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  list: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ListSubscriptionSchema.index({ user: 1, list: 1 }, { unique: true });
+ListSubscriptionSchema.index({ list: 1, createdAt: -1 });
+ListSubscriptionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ListSubscription', ListSubscriptionSchema);
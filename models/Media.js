@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// An uploaded image, GIF or video. Files are uploaded first and attached
+// to a tweet, draft, profile or message afterwards; `usage` is null until
+// then, and uploads that stay unattached are purged (see services/media).
+const MediaSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'gif', 'video'],
+    required: true
+  },
+  // Sniffed from the file's contents
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Bytes, as uploaded
+  size: {
+    type: Number,
+    required: true
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  altText: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Alt text cannot be more than 1000 characters'],
+    default: ''
+  },
+  // Media store holding the file ("cloudinary" or "local") and its key there
+  provider: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  usage: {
+    type: String,
+    enum: ['tweet', 'draft', 'profilePicture', 'coverPhoto', 'message', null],
+    default: null
+  },
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet',
+    default: null
+  },
+  draft: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Draft',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+MediaSchema.index({ owner: 1, createdAt: -1 });
+MediaSchema.index({ tweet: 1 });
+MediaSchema.index({ draft: 1 });
+MediaSchema.index({ url: 1 });
+// Finding unattached uploads to purge
+MediaSchema.index({ usage: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Media', MediaSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const MessageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    // Image-only messages carry no text
+    required: [
+      function() { return !this.image; },
+      'Please provide message content'
+    ],
+    maxlength: [1000, 'Message cannot be more than 1000 characters']
+  },
+  image: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+MessageSchema.index({ conversation: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Message', MessageSchema);
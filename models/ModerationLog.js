@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One entry per moderator action, kept as an audit trail
+const ModerationLogSchema = new mongoose.Schema({
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['hide_content', 'suspend', 'ban', 'dismiss', 'reinstate', 'set_role'],
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Tweet', 'Comment', 'User'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  // The account affected, or the author of the affected content
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The report that led to the action, if any
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters'],
+    default: ''
+  },
+  // End of a suspension, or the role given
+  suspendedUntil: {
+    type: Date
+  },
+  role: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+ModerationLogSchema.index({ createdAt: -1 });
+ModerationLogSchema.index({ targetUser: 1, createdAt: -1 });
+ModerationLogSchema.index({ moderator: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationLog', ModerationLogSchema);
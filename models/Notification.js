@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'like', 'comment', 'comment_like', 'follow', 'follow_request', 'follow_accept',
+      'retweet', 'reply', 'quote', 'mention'
+    ],
+    required: true
+  },
+  // Most recent actor first
+  actors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  actorCount: {
+    type: Number,
+    default: 0
+  },
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet'
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  // Set on groupable notifications; repeated events with the same key are
+  // folded into one unread notification ("5 people liked your tweet")
+  groupKey: {
+    type: String
+  },
+  read: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+NotificationSchema.index({ recipient: 1, updatedAt: -1 });
+NotificationSchema.index({ recipient: 1, read: 1 });
+
+// At most one unread notification per group
+NotificationSchema.index(
+  { recipient: 1, groupKey: 1 },
+  { unique: true, partialFilterExpression: { read: false, groupKey: { $exists: true } } }
+);
+
+module.exports = mongoose.model('Notification', NotificationSchema);
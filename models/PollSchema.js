@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A poll attached to a tweet. Counts only ever change through atomic $inc
+// updates made when a PollVote is created (see routes/tweets.js).
+const PollSchema = new mongoose.Schema({
+  options: {
+    type: [{
+      _id: false,
+      text: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [25, 'Poll options cannot be more than 25 characters']
+      },
+      voteCount: {
+        type: Number,
+        default: 0
+      }
+    }],
+    validate: [
+      options => options.length >= 2 && options.length <= 4,
+      'A poll needs 2 to 4 options'
+    ]
+  },
+  // Total votes across every option
+  voteCount: {
+    type: Number,
+    default: 0
+  },
+  closesAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  _id: false
+});
+
+module.exports = PollSchema;
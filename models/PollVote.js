@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A user's vote in a tweet's poll; `option` is the index of their choice
+const PollVoteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet',
+    required: true
+  },
+  option: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One vote per user and poll, however many requests race
+PollVoteSchema.index({ user: 1, tweet: 1 }, { unique: true });
+PollVoteSchema.index({ tweet: 1 });
+
+module.exports = mongoose.model('PollVote', PollVoteSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Request counter for one rate limit bucket during one time window
+const RateLimitSchema = new mongoose.Schema({
+  bucket: {
+    type: String,
+    required: true
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+RateLimitSchema.index({ bucket: 1, windowStart: 1 }, { unique: true });
+// Finished windows are removed by MongoDB
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
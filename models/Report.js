@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// A user's complaint about a tweet, comment or account, waiting in the
+// moderation queue until a moderator acts on it or dismisses it
+const ReportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Tweet', 'Comment', 'User'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  // The reported account, or the author of the reported content
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [
+      'spam',
+      'harassment',
+      'hate',
+      'violence',
+      'self_harm',
+      'sexual_content',
+      'misinformation',
+      'impersonation',
+      'other'
+    ],
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Details cannot be more than 500 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['open', 'actioned', 'dismissed'],
+    default: 'open'
+  },
+  // The moderator who closed the report and the action they took
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  action: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// A user may only have one open report against the same target
+ReportSchema.index(
+  { reporter: 1, targetType: 1, target: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+// The queue, oldest first, and closing every report on a target at once
+ReportSchema.index({ status: 1, createdAt: 1 });
+ReportSchema.index({ targetType: 1, target: 1, status: 1 });
+
+module.exports = mongoose.model('Report', ReportSchema);
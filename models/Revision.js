@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const EntitiesSchema = require('./EntitiesSchema');
+
+// An earlier version of an edited tweet or comment
+const RevisionSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['Tweet', 'Comment'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetType',
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  entities: {
+    type: EntitiesSchema,
+    default: () => ({})
+  },
+  // When this version was posted, and when an edit replaced it
+  publishedAt: {
+    type: Date,
+    required: true
+  },
+  replacedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+RevisionSchema.index({ targetType: 1, target: 1, replacedAt: -1 });
+
+module.exports = mongoose.model('Revision', RevisionSchema);
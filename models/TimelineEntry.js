@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A tweet written into a user's precomputed home timeline
+const TimelineEntrySchema = new mongoose.Schema({
+  // Whose timeline the entry belongs to
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The tweet's creation time, which orders the timeline
+  createdAt: {
+    type: Date,
+    required: true
+  },
+  // When the entry ages out of the timeline; older tweets are read from
+  // the tweets themselves
+  expiresAt: {
+    type: Date
+  }
+});
+
+TimelineEntrySchema.index({ owner: 1, createdAt: -1, tweet: -1 });
+TimelineEntrySchema.index({ owner: 1, tweet: 1 }, { unique: true });
+TimelineEntrySchema.index({ owner: 1, author: 1 });
+TimelineEntrySchema.index({ tweet: 1 });
+// Aged-out entries are removed by MongoDB
+TimelineEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('TimelineEntry', TimelineEntrySchema);
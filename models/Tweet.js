@@ -1,5 +1,7 @@
 
 const mongoose = require('mongoose');
+const EntitiesSchema = require('./EntitiesSchema');
+const PollSchema = require('./PollSchema');
 
 const TweetSchema = new mongoose.Schema({
   user: {
@@ -9,20 +11,36 @@ const TweetSchema = new mongoose.Schema({
   },
   content: {
     type: String,
-    required: [true, 'Please provide tweet content'],
+    // Retweets and media-only tweets carry no text of their own
+    required: [
+      function() { return !this.isRetweet && !this.image && !(this.media && this.media.length); },
+      'Please provide tweet content'
+    ],
     maxlength: [280, 'Tweet cannot be more than 280 characters']
   },
+  // Single image URL on tweets posted before media attachments; see
+  // scripts/migrateMedia.js
   image: {
     type: String
   },
-  likes: [{
+  // Up to four images, or one video or GIF
+  media: [{
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
-  }],
-  retweets: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+    ref: 'Media'
   }],
+  poll: {
+    type: PollSchema
+  },
+  // Number of Like documents for this tweet
+  likeCount: {
+    type: Number,
+    default: 0
+  },
+  // Number of retweets (tweets with isRetweet and this tweet as parent)
+  retweetCount: {
+    type: Number,
+    default: 0
+  },
   comments: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment'
@@ -34,9 +52,76 @@ const TweetSchema = new mongoose.Schema({
   isRetweet: {
     type: Boolean,
     default: false
+  },
+  // Reply chain from the conversation root down to the direct parent
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet'
+  }],
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  quotedTweet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tweet'
+  },
+  quotedTweetDeleted: {
+    type: Boolean,
+    default: false
+  },
+  // Copy of the author's isPrivate, so visibility can be filtered in queries
+  authorPrivate: {
+    type: Boolean,
+    default: false
+  },
+  entities: {
+    type: EntitiesSchema,
+    default: () => ({})
+  },
+  // Set when the author had too many followers to copy the tweet into each
+  // of their timelines; such tweets are merged in when timelines are read
+  pullOnRead: {
+    type: Boolean
+  },
+  // Normalised (lowercase, no "#") hashtags, for hashtag feeds and trends
+  hashtags: [{
+    type: String
+  }],
+  // Whether the content was changed after posting; earlier versions are
+  // kept as Revisions
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editCount: {
+    type: Number,
+    default: 0
+  },
+  editedAt: {
+    type: Date
+  },
+  // Set when a moderator hides this from everyone
+  hiddenAt: {
+    type: Date
   }
 }, {
   timestamps: true
 });
 
+TweetSchema.index({ ancestors: 1, createdAt: 1 });
+TweetSchema.index({ hashtags: 1, createdAt: -1 });
+TweetSchema.index({ createdAt: -1 });
+TweetSchema.index(
+  { createdAt: -1, _id: -1 },
+  { partialFilterExpression: { pullOnRead: true }, name: 'pullOnRead_createdAt' }
+);
+TweetSchema.index({ content: 'text' });
+
+// A user can retweet a given tweet only once
+TweetSchema.index(
+  { user: 1, parent: 1 },
+  { unique: true, partialFilterExpression: { isRetweet: true } }
+);
+
 module.exports = mongoose.model('Tweet', TweetSchema);
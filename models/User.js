@@ -55,32 +55,122 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
-  followers: [{
+  // Numbers of Follow documents pointing at and from this user
+  followerCount: {
+    type: Number,
+    default: 0
+  },
+  followingCount: {
+    type: Number,
+    default: 0
+  },
+  // Granted by an admin through a verification request, see
+  // routes/verification.js
+  isVerified: {
+    type: Boolean,
+    default: false
+  },
+  verifiedAt: {
+    type: Date
+  },
+  // Only approved followers can see a private account's tweets and follows
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  // Users whose content this user never sees and who cannot interact
+  // with them; the blocked user can see that they are blocked
+  blocked: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  following: [{
+  // Users whose content is silently hidden from this user
+  muted: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  isVerified: {
+  // Words or hashtags (starting with "#") hidden from this user
+  mutedWords: [{
+    keyword: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [100, 'Muted word cannot be more than 100 characters']
+    },
+    expiresAt: {
+      type: Date
+    }
+  }],
+  // Consecutive failed logins since the last success or lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Logins are refused until this time after too many failures
+  lockUntil: {
+    type: Date
+  },
+  // Whether the user has confirmed they own their email address
+  emailVerified: {
     type: Boolean,
     default: false
+  },
+  // Who may start a direct message conversation with this user
+  dmPrivacy: {
+    type: String,
+    enum: ['everyone', 'following'],
+    default: 'everyone'
+  },
+  // Moderators work the report queue; admins can also manage roles and
+  // act on other staff
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user'
+  },
+  // A suspended or banned user cannot sign in or use their sessions
+  suspendedUntil: {
+    type: Date
+  },
+  bannedAt: {
+    type: Date
   }
 }, {
   timestamps: true
 });
 
+// Looking up who has blocked a given user
+UserSchema.index({ blocked: 1 });
+
+// Full-text search over profiles, favouring handle and name matches
+UserSchema.index(
+  { username: 'text', name: 'text', bio: 'text' },
+  { weights: { username: 5, name: 3, bio: 1 }, name: 'UserTextIndex' }
+);
+
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
+// Why the user may not use their account right now, or null
+UserSchema.methods.restriction = function() {
+  if (this.bannedAt) {
+    return { message: 'This account has been banned' };
+  }
+  
+  if (this.suspendedUntil && this.suspendedUntil > new Date()) {
+    return { message: 'This account is suspended', suspendedUntil: this.suspendedUntil };
+  }
+  
+  return null;
+};
+
 // Method to compare password
 UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
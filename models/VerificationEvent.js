@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A change to a user's verified status, kept as its history
+const VerificationEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['approved', 'revoked'],
+    required: true
+  },
+  // The admin responsible; null when verification was revoked
+  // automatically
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // The application that was approved
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VerificationRequest'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+VerificationEventSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('VerificationEvent', VerificationEventSchema);
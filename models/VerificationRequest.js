@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A user's application for the verified badge, reviewed by an admin
+const VerificationRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What kind of notable account the applicant is
+  category: {
+    type: String,
+    enum: [
+      'government',
+      'company',
+      'brand',
+      'news',
+      'entertainment',
+      'sports',
+      'creator',
+      'other'
+    ],
+    required: true
+  },
+  // Pages that back up the applicant's identity or notability
+  links: {
+    type: [String],
+    validate: [
+      links => links.length >= 1 && links.length <= 5,
+      'Provide between 1 and 5 supporting links'
+    ]
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+    default: 'pending'
+  },
+  // Set when the request was opened automatically to re-review a verified
+  // user who changed their name or username
+  reopened: {
+    type: Boolean,
+    default: false
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review note cannot be more than 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// A user can only have one application waiting at a time
+VerificationRequestSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+VerificationRequestSchema.index({ status: 1, createdAt: 1 });
+VerificationRequestSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('VerificationRequest', VerificationRequestSchema);
@@ -2,14 +2,45 @@
 const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessions');
+const { issueToken, consumeToken } = require('../services/authTokens');
+const { sendMail } = require('../services/mail');
+const mailTemplates = require('../services/mail/templates');
 
-// Generate JWT
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d'
-  });
+// Email a link that confirms the user owns their current address
+const sendVerificationEmail = async (user) => {
+  const token = await issueToken(user._id, 'email_verification', { email: user.email });
+  await sendMail(mailTemplates.emailVerification(user, user.email, token));
+};
+
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+
+// Count a failed login, locking the account once there have been too many
+const recordFailedLogin = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('failedLoginAttempts');
+  
+  if (user.failedLoginAttempts >= LOGIN_MAX_ATTEMPTS) {
+    await User.updateOne({ _id: userId }, {
+      $set: {
+        failedLoginAttempts: 0,
+        lockUntil: new Date(Date.now() + LOGIN_LOCK_MINUTES * 60 * 1000)
+      }
+    });
+  }
 };
 
 // @route   POST api/auth/register
@@ -18,6 +49,7 @@ const generateToken = (id) => {
 router.post(
   '/register',
   [
+    rateLimit('register'),
     check('name', 'Name is required').not().isEmpty(),
     check('username', 'Username is required').not().isEmpty(),
     check('email', 'Please include a valid email').isEmail(),
@@ -52,12 +84,19 @@ router.post(
       });
 
       await user.save();
+      
+      // A failed email should not fail the sign-up; it can be resent
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Failed to send verification email:', error);
+      }
 
-      // Generate token
-      const token = generateToken(user._id);
+      // Start a session for this device
+      const tokens = await createSession(user._id, req);
 
       res.status(201).json({
-        token,
+        ...tokens,
         user: {
           _id: user._id,
           name: user.name,
@@ -65,9 +104,11 @@ router.post(
           email: user.email,
           profilePicture: user.profilePicture,
           bio: user.bio,
-          followers: user.followers,
-          following: user.following,
-          isVerified: user.isVerified
+          followerCount: user.followerCount,
+          followingCount: user.followingCount,
+          isVerified: user.isVerified,
+          emailVerified: user.emailVerified,
+          role: user.role
         }
       });
     } catch (error) {
@@ -83,6 +124,7 @@ router.post(
 router.post(
   '/login',
   [
+    rateLimit('login'),
     check('email', 'Please include a valid email').isEmail(),
     check('password', 'Password is required').exists()
   ],
@@ -101,17 +143,41 @@ router.post(
         return res.status(400).json({ message: 'Invalid credentials' });
       }
 
+      // Refuse locked accounts even with the right password
+      if (user.lockUntil && user.lockUntil > new Date()) {
+        res.set('Retry-After', Math.ceil((user.lockUntil - Date.now()) / 1000));
+        return res.status(429).json({
+          message: 'Account temporarily locked after too many failed login attempts',
+          lockUntil: user.lockUntil
+        });
+      }
+
       // Check if password matches
       const isMatch = await user.matchPassword(password);
       if (!isMatch) {
+        await recordFailedLogin(user._id);
         return res.status(400).json({ message: 'Invalid credentials' });
       }
 
-      // Generate token
-      const token = generateToken(user._id);
+      // Suspended and banned users learn why only once they have proven
+      // who they are
+      const restriction = user.restriction();
+      if (restriction) {
+        return res.status(403).json(restriction);
+      }
+
+      if (user.failedLoginAttempts || user.lockUntil) {
+        await User.updateOne({ _id: user._id }, {
+          $set: { failedLoginAttempts: 0 },
+          $unset: { lockUntil: 1 }
+        });
+      }
+
+      // Start a session for this device
+      const tokens = await createSession(user._id, req);
 
       res.json({
-        token,
+        ...tokens,
         user: {
           _id: user._id,
           name: user.name,
@@ -119,9 +185,11 @@ router.post(
           email: user.email,
           profilePicture: user.profilePicture,
           bio: user.bio,
-          followers: user.followers,
-          following: user.following,
-          isVerified: user.isVerified
+          followerCount: user.followerCount,
+          followingCount: user.followingCount,
+          isVerified: user.isVerified,
+          emailVerified: user.emailVerified,
+          role: user.role
         }
       });
     } catch (error) {
@@ -131,4 +199,349 @@ router.post(
   }
 );
 
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post(
+  '/refresh',
+  [
+    rateLimit('refresh'),
+    check('refreshToken', 'Refresh token is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const tokens = await rotateSession(req.body.refreshToken, req);
+      
+      if (!tokens) {
+        return res.status(401).json({ message: 'Invalid refresh token' });
+      }
+      
+      res.json(tokens);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await revokeSession({ _id: req.sessionId, user: req.user._id }, 'logout');
+    
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+    .select('userAgent ip createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 });
+    
+    res.json(sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.equals(req.sessionId)
+    })));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/auth/sessions
+// @desc    Revoke every session except the current one
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      _id: { $ne: req.sessionId },
+      revokedAt: null
+    });
+    
+    await Promise.all(sessions.map(session => revokeSession(session, 'revoked')));
+    
+    res.json({ message: 'Other sessions revoked', revoked: sessions.length });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+    
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    await revokeSession(session, 'revoked');
+    
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post(
+  '/forgot-password',
+  [
+    rateLimit('email'),
+    check('email', 'Please include a valid email').isEmail()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+      
+      if (user) {
+        const token = await issueToken(user._id, 'password_reset');
+        
+        // A mail failure must not change the answer either
+        try {
+          await sendMail(mailTemplates.passwordReset(user, token));
+        } catch (error) {
+          console.error('Failed to send password reset email:', error);
+        }
+      }
+      
+      // Same answer either way, so the route can't be used to probe emails
+      res.json({ message: 'If that email is registered, a reset link has been sent' });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post(
+  '/reset-password',
+  [
+    check('token', 'Token is required').not().isEmpty(),
+    check('password', 'Password must be at least 6 characters').isLength({ min: 6 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const authToken = await consumeToken(req.body.token, 'password_reset');
+      
+      if (!authToken) {
+        return res.status(400).json({ message: 'Invalid or expired token' });
+      }
+      
+      const user = await User.findById(authToken.user);
+      
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      user.password = req.body.password;
+      // Proving ownership of the email address lifts a lockout
+      user.failedLoginAttempts = 0;
+      user.lockUntil = undefined;
+      await user.save();
+      
+      // Whoever may have had the old password is signed out everywhere
+      await revokeAllSessions(user._id);
+      
+      res.json({ message: 'Password has been reset' });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST api/auth/verify-email/resend
+// @desc    Resend the email verification link
+// @access  Private
+router.post('/verify-email/resend', protect, rateLimit('email'), async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+    
+    await sendVerificationEmail(req.user);
+    
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/auth/verify-email
+// @desc    Confirm an email address using a verification token
+// @access  Public
+router.post(
+  '/verify-email',
+  [
+    check('token', 'Token is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const authToken = await consumeToken(req.body.token, 'email_verification');
+      
+      if (!authToken) {
+        return res.status(400).json({ message: 'Invalid or expired token' });
+      }
+      
+      // The token only vouches for the address it was sent to
+      const result = await User.updateOne(
+        { _id: authToken.user, email: authToken.email },
+        { $set: { emailVerified: true } }
+      );
+      
+      if (result.matchedCount === 0) {
+        return res.status(400).json({ message: 'Email address has changed since this link was sent' });
+      }
+      
+      res.json({ message: 'Email verified' });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST api/auth/change-email
+// @desc    Start changing the account email; the new address must confirm
+// @access  Private
+router.post(
+  '/change-email',
+  [
+    protect,
+    rateLimit('email'),
+    check('email', 'Please include a valid email').isEmail(),
+    check('password', 'Password is required').exists()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const email = req.body.email.toLowerCase();
+      const user = await User.findById(req.user._id);
+      
+      const isMatch = await user.matchPassword(req.body.password);
+      if (!isMatch) {
+        return res.status(400).json({ message: 'Invalid credentials' });
+      }
+      
+      if (email === user.email) {
+        return res.status(400).json({ message: 'That is already your email' });
+      }
+      
+      const existing = await User.findOne({ email });
+      if (existing) {
+        return res.status(400).json({ message: 'Email already exists' });
+      }
+      
+      const token = await issueToken(user._id, 'email_change', { email });
+      await sendMail(mailTemplates.emailChange(user, email, token));
+      await sendMail(mailTemplates.emailChangeNotice(user, email));
+      
+      res.json({ message: 'Confirmation email sent to the new address' });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST api/auth/confirm-email-change
+// @desc    Switch to the new email address using a confirmation token
+// @access  Public
+router.post(
+  '/confirm-email-change',
+  [
+    check('token', 'Token is required').not().isEmpty()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const authToken = await consumeToken(req.body.token, 'email_change');
+      
+      if (!authToken) {
+        return res.status(400).json({ message: 'Invalid or expired token' });
+      }
+      
+      // Confirming the link proves the new address is reachable
+      const user = await User.findByIdAndUpdate(
+        authToken.user,
+        { $set: { email: authToken.email, emailVerified: true } },
+        { new: true }
+      ).select('-password');
+      
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      res.json({ message: 'Email changed', email: user.email });
+    } catch (error) {
+      console.error(error);
+      // Someone registered the address after the change was requested
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'Email already exists' });
+      }
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 module.exports = router;
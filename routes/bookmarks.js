@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const Bookmark = require('../models/Bookmark');
+const BookmarkFolder = require('../models/BookmarkFolder');
+const { protect } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const { getVisibility, canSeeAuthor, filterEmbedded } = require('../services/visibility');
+const { withTweetState } = require('../services/viewerState');
+const { TWEET_POPULATE } = require('../utils/populate');
+const { paginateQuery } = require('../utils/pagination');
+
+// @route   GET api/bookmarks
+// @desc    Get the current user's bookmarked tweets, most recently saved
+//          first. Pass folder=<id> for one folder or folder=none for
+//          bookmarks outside any folder.
+// @access  Private
+router.get(
+  '/',
+  protect,
+  [
+    check('folder', 'Invalid folder')
+      .optional()
+      .custom(value => value === 'none' || /^[a-f\d]{24}$/i.test(value))
+  ],
+  paginate(20),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const filter = { user: req.user._id };
+      if (req.query.folder) {
+        filter.folder = req.query.folder === 'none' ? null : req.query.folder;
+      }
+      
+      const visibility = await getVisibility(req.user);
+      
+      const bookmarks = await paginateQuery(Bookmark, filter, req.page, {
+        populate: query => query.populate({ path: 'tweet', populate: TWEET_POPULATE })
+      });
+      
+      // Saved tweets stay saved, but blocks, lost access to a private
+      // account and moderators still hide them
+      const tweets = bookmarks.data
+        .filter(bookmark => bookmark.tweet &&
+          !bookmark.tweet.hiddenAt &&
+          canSeeAuthor(bookmark.tweet.user._id, bookmark.tweet.authorPrivate, visibility))
+        .map(bookmark => {
+          const tweet = bookmark.tweet.toObject();
+          tweet.bookmark = { folder: bookmark.folder || null, createdAt: bookmark.createdAt };
+          return tweet;
+        });
+      
+      bookmarks.data = await withTweetState(filterEmbedded(tweets, visibility), req.user);
+      
+      res.json(bookmarks);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/bookmarks/folders
+// @desc    Get the current user's bookmark folders with their sizes
+// @access  Private
+router.get('/folders', protect, async (req, res) => {
+  try {
+    const [folders, counts] = await Promise.all([
+      BookmarkFolder.find({ user: req.user._id }).sort({ name: 1 }),
+      Bookmark.aggregate([
+        { $match: { user: req.user._id, folder: { $ne: null } } },
+        { $group: { _id: '$folder', count: { $sum: 1 } } }
+      ])
+    ]);
+    
+    const countOf = folder => {
+      const entry = counts.find(count => count._id.equals(folder._id));
+      return entry ? entry.count : 0;
+    };
+    
+    res.json(folders.map(folder => ({ ...folder.toObject(), bookmarkCount: countOf(folder) })));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/bookmarks/folders
+// @desc    Create a bookmark folder
+// @access  Private
+router.post(
+  '/folders',
+  [
+    protect,
+    check('name', 'Name is required').trim().not().isEmpty(),
+    check('name', 'Name cannot exceed 50 characters').isLength({ max: 50 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const folder = await BookmarkFolder.create({ user: req.user._id, name: req.body.name });
+      
+      res.status(201).json(folder);
+    } catch (error) {
+      console.error(error);
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'A folder with this name already exists' });
+      }
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   PUT api/bookmarks/folders/:id
+// @desc    Rename a bookmark folder
+// @access  Private
+router.put(
+  '/folders/:id',
+  [
+    protect,
+    check('name', 'Name is required').trim().not().isEmpty(),
+    check('name', 'Name cannot exceed 50 characters').isLength({ max: 50 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const folder = await BookmarkFolder.findOneAndUpdate(
+        { _id: req.params.id, user: req.user._id },
+        { $set: { name: req.body.name } },
+        { new: true, runValidators: true }
+      );
+      
+      if (!folder) {
+        return res.status(404).json({ message: 'Folder not found' });
+      }
+      
+      res.json(folder);
+    } catch (error) {
+      console.error(error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Folder not found' });
+      }
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'A folder with this name already exists' });
+      }
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   DELETE api/bookmarks/folders/:id
+// @desc    Delete a bookmark folder. Its bookmarks are kept outside any folder.
+// @access  Private
+router.delete('/folders/:id', protect, async (req, res) => {
+  try {
+    const folder = await BookmarkFolder.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+    
+    if (!folder) {
+      return res.status(404).json({ message: 'Folder not found' });
+    }
+    
+    await Bookmark.updateMany({ folder: folder._id }, { $unset: { folder: 1 } });
+    
+    res.json({ message: 'Folder removed' });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Folder not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
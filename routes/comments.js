@@ -4,12 +4,21 @@ const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const Comment = require('../models/Comment');
 const Tweet = require('../models/Tweet');
-const { protect } = require('../middleware/auth');
+const Notification = require('../models/Notification');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { notify, retract } = require('../services/notifications');
+const { publishTweetCounts } = require('../services/realtime');
+const { toggleLike, removeLikes } = require('../services/likes');
+const { editBlockedReason, editContent, revisionHistory, removeRevisions } = require('../services/edits');
+const { withCommentState } = require('../services/viewerState');
+const { getVisibility, canSeeAuthor } = require('../services/visibility');
+const { USER_SUMMARY } = require('../utils/populate');
 
 // @route   POST api/comments/:id/like
 // @desc    Like/unlike a comment
 // @access  Private
-router.post('/:id/like', protect, async (req, res) => {
+router.post('/:id/like', protect, rateLimit('engagement'), async (req, res) => {
   try {
     const comment = await Comment.findById(req.params.id);
     
@@ -17,20 +26,119 @@ router.post('/:id/like', protect, async (req, res) => {
       return res.status(404).json({ message: 'Comment not found' });
     }
     
-    // Check if the comment has already been liked by the user
-    if (comment.likes.includes(req.user._id)) {
-      // Unlike
-      comment.likes = comment.likes.filter(
-        like => like.toString() !== req.user._id.toString()
-      );
-    } else {
-      // Like
-      comment.likes.unshift(req.user._id);
+    const visibility = await getVisibility(req.user);
+    const tweet = await Tweet.findById(comment.tweet).select('user authorPrivate hiddenAt');
+    
+    if (!tweet || tweet.hiddenAt || comment.hiddenAt) {
+      return res.status(403).json({ message: 'This comment is unavailable' });
+    }
+    
+    // Like the tweet like route: the viewer must be able to see both the
+    // tweet's and the comment's author, which also rules out blocks
+    if (!canSeeAuthor(tweet.user, tweet.authorPrivate, visibility) ||
+      !canSeeAuthor(comment.user, comment.authorPrivate, visibility)) {
+      return res.status(403).json({ message: 'You cannot interact with this user' });
+    }
+    
+    const notification = {
+      recipient: comment.user,
+      actor: req.user._id,
+      type: 'comment_like',
+      tweet: comment.tweet,
+      comment: comment._id
+    };
+    
+    const { liked, changed, target: updated } = await toggleLike(req.user._id, 'Comment', comment);
+    
+    if (changed) {
+      await (liked ? notify(notification) : retract(notification));
+    }
+    
+    res.json({ liked, likeCount: updated.likeCount });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PATCH api/comments/:id
+// @desc    Edit a comment's content, within the edit window and limit
+// @access  Private
+router.patch(
+  '/:id',
+  [
+    protect,
+    check('content', 'Content is required').not().isEmpty(),
+    check('content', 'Content cannot exceed 280 characters').isLength({ max: 280 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
     
-    await comment.save();
+    try {
+      let comment = await Comment.findById(req.params.id);
+      
+      if (!comment) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      
+      if (comment.user.toString() !== req.user._id.toString()) {
+        return res.status(401).json({ message: 'User not authorized' });
+      }
+      
+      if (req.body.content !== comment.content) {
+        const reason = editBlockedReason(comment);
+        if (reason) {
+          return res.status(403).json({ message: reason });
+        }
+        
+        // Null when a concurrent edit used up the last one
+        comment = await editContent('Comment', comment, req.body.content);
+        if (!comment) {
+          return res.status(403).json({ message: 'This comment can no longer be edited' });
+        }
+      }
+      
+      await comment.populate('user', USER_SUMMARY);
+      const [withState] = await withCommentState([comment], req.user);
+      
+      res.json(withState);
+    } catch (error) {
+      console.error(error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/comments/:id/history
+// @desc    Get every version of a comment, the current one first
+// @access  Public
+router.get('/:id/history', optionalAuth, async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
     
-    res.json(comment.likes);
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    const visibility = await getVisibility(req.user);
+    const tweet = await Tweet.findById(comment.tweet).select('user authorPrivate hiddenAt');
+    
+    if (!tweet || tweet.hiddenAt || comment.hiddenAt ||
+      !canSeeAuthor(tweet.user, tweet.authorPrivate, visibility) ||
+      !canSeeAuthor(comment.user, comment.authorPrivate, visibility)) {
+      return res.status(403).json({ message: 'This comment is unavailable' });
+    }
+    
+    res.json(await revisionHistory('Comment', comment));
   } catch (error) {
     console.error(error);
     if (error.kind === 'ObjectId') {
@@ -57,9 +165,19 @@ router.delete('/:id', protect, async (req, res) => {
     }
     
     // Remove comment from tweet's comments array
-    await Tweet.findByIdAndUpdate(comment.tweet, {
-      $pull: { comments: comment._id }
-    });
+    const tweet = await Tweet.findByIdAndUpdate(
+      comment.tweet,
+      { $pull: { comments: comment._id } },
+      { new: true }
+    );
+    
+    if (tweet) {
+      await publishTweetCounts(tweet);
+    }
+    
+    await Notification.deleteMany({ comment: comment._id });
+    await removeLikes('Comment', [comment._id]);
+    await removeRevisions('Comment', [comment._id]);
     
     await comment.deleteOne();
     
@@ -0,0 +1,330 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { paginate } = require('../middleware/pagination');
+const { uploadFile } = require('../middleware/upload');
+const { createMedia } = require('../services/media');
+const { USER_SUMMARY } = require('../utils/populate');
+const { paginateQuery } = require('../utils/pagination');
+const { isBlockedBetween } = require('../services/visibility');
+const { isFollowing } = require('../services/follows');
+
+const DUPLICATE_KEY = 11000;
+
+// Largest group conversation, including its creator
+const MAX_PARTICIPANTS = 20;
+
+const CONVERSATION_POPULATE = [
+  { path: 'participants', select: USER_SUMMARY },
+  { path: 'lastMessage', select: 'sender content image createdAt' }
+];
+
+// Whether `recipient` accepts new messages from `senderId`
+const acceptsMessagesFrom = async (recipient, senderId) =>
+  recipient.dmPrivacy !== 'following' ||
+  isFollowing(recipient._id, senderId);
+
+// Load a conversation the current user takes part in. Sends the error
+// response and returns null otherwise.
+const findOwnConversation = async (req, res) => {
+  const conversation = await Conversation.findById(req.params.id);
+  
+  if (!conversation) {
+    res.status(404).json({ message: 'Conversation not found' });
+    return null;
+  }
+  
+  if (!conversation.participants.some(id => id.equals(req.user._id))) {
+    res.status(401).json({ message: 'User not authorized' });
+    return null;
+  }
+  
+  return conversation;
+};
+
+// Add per-viewer unread state to a conversation
+const withUnread = (conversation, userId) => {
+  const own = conversation.readState.find(state => state.user.equals(userId));
+  const lastReadAt = own && own.lastReadAt;
+  
+  return {
+    ...conversation.toObject(),
+    hasUnread: Boolean(conversation.lastMessage) &&
+      (!lastReadAt || conversation.lastMessageAt > lastReadAt)
+  };
+};
+
+// @route   POST api/conversations
+// @desc    Start a one-to-one or group conversation
+// @access  Private
+router.post(
+  '/',
+  [
+    protect,
+    rateLimit('message'),
+    check('participants', 'Participants must be a list of user IDs').isArray({ min: 1 }),
+    check('participants.*', 'Invalid user ID').isMongoId(),
+    check('name', 'Name cannot exceed 50 characters').optional().isLength({ max: 50 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const otherIds = [...new Set(req.body.participants)]
+        .filter(id => id !== req.user._id.toString());
+      
+      if (otherIds.length === 0) {
+        return res.status(400).json({ message: 'You cannot message yourself' });
+      }
+      
+      if (otherIds.length + 1 > MAX_PARTICIPANTS) {
+        return res.status(400).json({
+          message: `Conversations are limited to ${MAX_PARTICIPANTS} participants`
+        });
+      }
+      
+      const others = await User.find({ _id: { $in: otherIds } })
+        .select('dmPrivacy');
+      
+      if (others.length !== otherIds.length) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      const [blocks, accepts] = await Promise.all([
+        Promise.all(others.map(other => isBlockedBetween(req.user._id, other._id))),
+        Promise.all(others.map(other => acceptsMessagesFrom(other, req.user._id)))
+      ]);
+      
+      if (blocks.some(Boolean) || !accepts.every(Boolean)) {
+        return res.status(403).json({ message: 'User does not accept messages from you' });
+      }
+      
+      const participants = [req.user._id, ...others.map(other => other._id)];
+      const isGroup = participants.length > 2;
+      const directKey = isGroup
+        ? undefined
+        : participants.map(id => id.toString()).sort().join(':');
+      
+      // Reuse the existing one-to-one conversation between the two users
+      if (directKey) {
+        const existing = await Conversation.findOne({ directKey })
+          .populate(CONVERSATION_POPULATE);
+        if (existing) {
+          return res.json(withUnread(existing, req.user._id));
+        }
+      }
+      
+      let conversation;
+      try {
+        conversation = await Conversation.create({
+          participants,
+          isGroup,
+          name: isGroup ? req.body.name : undefined,
+          createdBy: req.user._id,
+          directKey,
+          readState: participants.map(user => ({ user }))
+        });
+      } catch (error) {
+        // Both users started the conversation at the same time, so hand
+        // back the one the other request created
+        if (error.code !== DUPLICATE_KEY || !directKey) {
+          throw error;
+        }
+        const existing = await Conversation.findOne({ directKey })
+          .populate(CONVERSATION_POPULATE);
+        return res.json(withUnread(existing, req.user._id));
+      }
+      
+      await conversation.populate(CONVERSATION_POPULATE);
+      
+      res.status(201).json(withUnread(conversation, req.user._id));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/conversations
+// @desc    Get current user's conversations, latest message first
+// @access  Private
+router.get('/', protect, paginate(20), async (req, res) => {
+  try {
+    const conversations = await paginateQuery(
+      Conversation,
+      { participants: req.user._id },
+      req.page,
+      {
+        sortField: 'lastMessageAt',
+        populate: query => query.populate(CONVERSATION_POPULATE)
+      }
+    );
+    
+    conversations.data = conversations.data.map(conversation =>
+      withUnread(conversation, req.user._id)
+    );
+    
+    res.json(conversations);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/conversations/:id
+// @desc    Get a conversation, including read receipts
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+    
+    await conversation.populate(CONVERSATION_POPULATE);
+    
+    res.json(withUnread(conversation, req.user._id));
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/conversations/:id/messages
+// @desc    Get message history of a conversation, newest first
+// @access  Private
+router.get('/:id/messages', protect, paginate(30), async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+    
+    const messages = await paginateQuery(
+      Message,
+      { conversation: conversation._id },
+      req.page,
+      { populate: query => query.populate('sender', USER_SUMMARY) }
+    );
+    
+    res.json(messages);
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/conversations/:id/messages
+// @desc    Send a message
+// @access  Private
+router.post(
+  '/:id/messages',
+  protect,
+  rateLimit('message'),
+  uploadFile('image'),
+  [
+    check('content', 'Content is required').if((value, { req }) => !req.file).not().isEmpty(),
+    check('content', 'Content cannot exceed 1000 characters').optional().isLength({ max: 1000 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const conversation = await findOwnConversation(req, res);
+      if (!conversation) return;
+      
+      // One-to-one conversations keep honouring the recipient's setting
+      if (!conversation.isGroup) {
+        const recipient = await User.findOne({
+          _id: { $in: conversation.participants, $ne: req.user._id }
+        }).select('dmPrivacy');
+        
+        if (recipient && (
+          !(await acceptsMessagesFrom(recipient, req.user._id)) ||
+          await isBlockedBetween(req.user._id, recipient._id)
+        )) {
+          return res.status(403).json({ message: 'User does not accept messages from you' });
+        }
+      }
+      
+      const image = req.file && await createMedia(req.user, req.file, {
+        folder: 'messages',
+        kinds: ['image', 'gif'],
+        usage: 'message',
+        maxDimension: 1000
+      });
+      
+      const message = await Message.create({
+        conversation: conversation._id,
+        sender: req.user._id,
+        content: req.body.content || '',
+        image: image ? image.url : undefined
+      });
+      
+      // Sending a message also marks the conversation read for the sender
+      await Conversation.updateOne(
+        { _id: conversation._id, 'readState.user': req.user._id },
+        {
+          $set: {
+            lastMessage: message._id,
+            lastMessageAt: message.createdAt,
+            'readState.$.lastReadAt': message.createdAt
+          }
+        }
+      );
+      
+      await message.populate('sender', USER_SUMMARY);
+      
+      res.status(201).json(message);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error(error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Conversation not found' });
+      }
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST api/conversations/:id/read
+// @desc    Mark a conversation as read
+// @access  Private
+router.post('/:id/read', protect, async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+    
+    const lastReadAt = new Date();
+    
+    await Conversation.updateOne(
+      { _id: conversation._id, 'readState.user': req.user._id },
+      { $set: { 'readState.$.lastReadAt': lastReadAt } }
+    );
+    
+    res.json({ conversation: conversation._id, lastReadAt });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,302 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const Draft = require('../models/Draft');
+const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { paginate } = require('../middleware/pagination');
+const { EDITABLE_STATUSES, claimDraft, publishDraft } = require('../services/scheduler');
+const { attachMedia, detachMedia, deleteMedia } = require('../services/media');
+const { withTweetState } = require('../services/viewerState');
+const mediaConfig = require('../config/media');
+const { MEDIA_SUMMARY } = require('../utils/populate');
+const { paginateQuery } = require('../utils/pagination');
+
+// How far ahead a tweet may be scheduled
+const MAX_SCHEDULE_DAYS = 365;
+
+const BUSY_MESSAGE = 'This tweet is already being published';
+
+const scheduleValidation = check('scheduledAt')
+  .optional({ values: 'falsy' })
+  .isISO8601().withMessage('scheduledAt must be a date')
+  .bail()
+  .custom(value => new Date(value) > new Date())
+  .withMessage('scheduledAt must be in the future')
+  .custom(value => new Date(value) - Date.now() <= MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000)
+  .withMessage(`Tweets can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead`);
+
+const draftValidation = [
+  // Uploads made through POST /api/media; a multipart form with a single
+  // id sends it as a string
+  check('mediaIds', `Attach at most ${mediaConfig.maxImagesPerTweet} media`)
+    .optional()
+    .toArray()
+    .isArray({ max: mediaConfig.maxImagesPerTweet }),
+  check('mediaIds.*', 'Invalid media').isMongoId(),
+  check('content', 'Content cannot exceed 280 characters').optional().isLength({ max: 280 }),
+  check('replyTo', 'Invalid tweet to reply to').optional({ values: 'falsy' }).isMongoId(),
+  scheduleValidation
+];
+
+// Answer for a draft the author can no longer change: missing, or claimed
+// by the scheduler in the meantime
+const sendNotEditable = async (req, res) => {
+  const exists = await Draft.exists({ _id: req.params.id, user: req.user._id });
+  
+  if (!exists) {
+    return res.status(404).json({ message: 'Draft not found' });
+  }
+  res.status(409).json({ message: BUSY_MESSAGE });
+};
+
+const populateMedia = query => query.populate('media', MEDIA_SUMMARY);
+
+const inDraft = (draft) => ({ usage: 'draft', draft: draft._id });
+
+const sendDraftError = (res, error) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(error);
+  if (error.kind === 'ObjectId') {
+    return res.status(404).json({ message: 'Draft not found' });
+  }
+  res.status(500).json({ message: 'Server error' });
+};
+
+// @route   POST api/drafts
+// @desc    Save a tweet draft, with media from POST api/media in
+//          mediaIds. Passing scheduledAt schedules it to be published at
+//          that time.
+// @access  Private
+router.post(
+  '/',
+  protect,
+  rateLimit('post'),
+  [
+    ...draftValidation,
+    check('content', 'Content is required')
+      .if((value, { req }) => !(req.body.mediaIds && req.body.mediaIds.length))
+      .not().isEmpty()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const scheduledAt = req.body.scheduledAt ? new Date(req.body.scheduledAt) : undefined;
+      
+      const media = req.body.mediaIds || [];
+      
+      const draft = new Draft({
+        user: req.user._id,
+        content: req.body.content || '',
+        media,
+        replyTo: req.body.replyTo || undefined,
+        scheduledAt,
+        status: scheduledAt ? 'scheduled' : 'draft'
+      });
+      
+      await attachMedia(req.user._id, media, inDraft(draft));
+      
+      try {
+        await draft.save();
+      } catch (error) {
+        await detachMedia(media, inDraft(draft));
+        throw error;
+      }
+      
+      res.status(201).json(await populateMedia(draft));
+    } catch (error) {
+      sendDraftError(res, error);
+    }
+  }
+);
+
+// @route   GET api/drafts
+// @desc    Get the current user's unscheduled drafts, most recently edited
+//          first
+// @access  Private
+router.get('/', protect, paginate(20), async (req, res) => {
+  try {
+    const drafts = await paginateQuery(
+      Draft,
+      { user: req.user._id, status: 'draft' },
+      req.page,
+      { sortField: 'updatedAt', populate: populateMedia }
+    );
+    
+    res.json(drafts);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/drafts/scheduled
+// @desc    Get the current user's scheduled tweets, soonest first. Tweets
+//          that failed to publish stay listed with an error.
+// @access  Private
+router.get('/scheduled', protect, paginate(20), async (req, res) => {
+  try {
+    const drafts = await paginateQuery(
+      Draft,
+      { user: req.user._id, status: { $in: ['scheduled', 'publishing', 'failed'] } },
+      req.page,
+      { sortField: 'scheduledAt', order: 1, populate: populateMedia }
+    );
+    
+    res.json(drafts);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/drafts/:id
+// @desc    Get a draft or scheduled tweet
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const draft = await populateMedia(Draft.findOne({ _id: req.params.id, user: req.user._id }));
+    
+    if (!draft) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+    
+    res.json(draft);
+  } catch (error) {
+    sendDraftError(res, error);
+  }
+});
+
+// @route   PUT api/drafts/:id
+// @desc    Edit a draft or scheduled tweet. Set scheduledAt to reschedule
+//          it, or to null to turn it back into a draft. mediaIds replaces
+//          the media; media dropped from the draft are deleted.
+// @access  Private
+router.put(
+  '/:id',
+  protect,
+  draftValidation,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const draft = await Draft.findOne({
+        _id: req.params.id,
+        user: req.user._id,
+        status: { $in: EDITABLE_STATUSES }
+      });
+      
+      if (!draft) {
+        return sendNotEditable(req, res);
+      }
+      
+      const { content, replyTo, scheduledAt, mediaIds } = req.body;
+      const changes = {
+        content: content !== undefined ? content : draft.content,
+        media: mediaIds !== undefined ? mediaIds : draft.media.map(String),
+        replyTo: replyTo !== undefined ? replyTo || null : draft.replyTo,
+        scheduledAt: scheduledAt !== undefined ? scheduledAt || null : draft.scheduledAt
+      };
+      
+      if (!changes.content && !changes.media.length) {
+        return res.status(400).json({ message: 'Content is required' });
+      }
+      
+      // A failed tweet goes back in the queue, as long as it is still due
+      // in the future
+      if (changes.scheduledAt && new Date(changes.scheduledAt) <= new Date()) {
+        return res.status(400).json({ message: 'scheduledAt must be in the future' });
+      }
+      changes.status = changes.scheduledAt ? 'scheduled' : 'draft';
+      
+      const current = draft.media.map(String);
+      const added = changes.media.filter(id => !current.includes(id));
+      const removed = current.filter(id => !changes.media.includes(id));
+      
+      // Checked against the media the draft keeps, so the new set as a
+      // whole must be one a tweet can carry
+      await attachMedia(req.user._id, changes.media, inDraft(draft));
+      
+      // Only update if the scheduler has not claimed the draft since it
+      // was read
+      const updated = await populateMedia(Draft.findOneAndUpdate(
+        { _id: draft._id, status: { $in: EDITABLE_STATUSES } },
+        {
+          $set: { ...changes, attempts: 0 },
+          $unset: { error: 1 }
+        },
+        { new: true, runValidators: true }
+      ));
+      
+      if (!updated) {
+        await detachMedia(added, inDraft(draft));
+        return res.status(409).json({ message: BUSY_MESSAGE });
+      }
+      
+      await deleteMedia({ _id: { $in: removed }, ...inDraft(draft) });
+      
+      res.json(updated);
+    } catch (error) {
+      sendDraftError(res, error);
+    }
+  }
+);
+
+// @route   DELETE api/drafts/:id
+// @desc    Delete a draft or cancel a scheduled tweet
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const result = await Draft.deleteOne({
+      _id: req.params.id,
+      user: req.user._id,
+      status: { $ne: 'publishing' }
+    });
+    
+    if (!result.deletedCount) {
+      return sendNotEditable(req, res);
+    }
+    
+    // Media of a published draft went to its tweet
+    await deleteMedia(inDraft({ _id: req.params.id }));
+    
+    res.json({ message: 'Draft removed' });
+  } catch (error) {
+    sendDraftError(res, error);
+  }
+});
+
+// @route   POST api/drafts/:id/publish
+// @desc    Publish a draft or scheduled tweet now
+// @access  Private
+router.post('/:id/publish', protect, rateLimit('post'), async (req, res) => {
+  try {
+    const draft = await claimDraft({
+      _id: req.params.id,
+      user: req.user._id,
+      status: { $in: EDITABLE_STATUSES }
+    });
+    
+    if (!draft) {
+      return sendNotEditable(req, res);
+    }
+    
+    const tweet = await publishDraft(draft);
+    const [withState] = await withTweetState([tweet], req.user);
+    
+    res.status(201).json(withState);
+  } catch (error) {
+    sendDraftError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const Tweet = require('../models/Tweet');
+const { optionalAuth } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const { getVisibility, withVisibility, filterEmbedded } = require('../services/visibility');
+const { withTweetState } = require('../services/viewerState');
+const { populateTweet } = require('../utils/populate');
+const { paginateQuery } = require('../utils/pagination');
+const { normalizeHashtag } = require('../utils/entities');
+
+// @route   GET api/hashtags/:tag
+// @desc    Get tweets containing a hashtag
+// @access  Public
+router.get('/:tag', optionalAuth, paginate(20), async (req, res) => {
+  try {
+    const tag = normalizeHashtag(req.params.tag);
+    const visibility = await getVisibility(req.user);
+    
+    const tweets = await paginateQuery(
+      Tweet,
+      withVisibility({ hashtags: tag }, visibility),
+      req.page,
+      { populate: populateTweet }
+    );
+    tweets.data = await withTweetState(filterEmbedded(tweets.data, visibility), req.user);
+    
+    res.json({ tag, ...tweets });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,445 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const List = require('../models/List');
+const ListSubscription = require('../models/ListSubscription');
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const {
+  getVisibility,
+  withVisibility,
+  filterEmbedded,
+  isBlockedBetween
+} = require('../services/visibility');
+const { withTweetState, withUserState } = require('../services/viewerState');
+const { USER_SUMMARY, populateTweet } = require('../utils/populate');
+const { paginateQuery, paginateIdArray, isIdArrayCursor } = require('../utils/pagination');
+
+const MAX_MEMBERS = 5000;
+
+const DUPLICATE_KEY = 11000;
+
+const listValidation = [
+  check('name', 'Name cannot exceed 25 characters').optional().trim().isLength({ max: 25 }),
+  check('description', 'Description cannot exceed 100 characters').optional().isLength({ max: 100 }),
+  check('isPrivate', 'isPrivate must be true or false').optional().isBoolean()
+];
+
+// The members array can hold thousands of ids, so responses carry its size
+const serializeList = (list, extra = {}) => {
+  const { members, ...rest } = list.toObject();
+  return { ...rest, memberCount: members.length, ...extra };
+};
+
+// Serialize lists with whether the viewer subscribes to each
+const withSubscriptionState = async (lists, viewer) => {
+  const subscriptions = viewer
+    ? await ListSubscription.find({
+      user: viewer._id,
+      list: { $in: lists.map(list => list._id) }
+    }).select('list')
+    : [];
+  const subscribed = new Set(subscriptions.map(subscription => subscription.list.toString()));
+  
+  return lists.map(list => serializeList(list, {
+    subscribedByMe: subscribed.has(list._id.toString())
+  }));
+};
+
+const isOwner = (list, user) => Boolean(user) && list.owner.equals(user._id);
+
+// Load a list the viewer may see. Private lists look missing to everyone
+// but their owner. Sends the error response and returns null otherwise.
+const findVisibleList = async (req, res) => {
+  const list = await List.findById(req.params.id);
+  
+  if (!list || (list.isPrivate && !isOwner(list, req.user))) {
+    res.status(404).json({ message: 'List not found' });
+    return null;
+  }
+  
+  return list;
+};
+
+// Load a list the current user owns. Sends the error response and returns
+// null otherwise.
+const findOwnList = async (req, res) => {
+  const list = await findVisibleList(req, res);
+  
+  if (list && !isOwner(list, req.user)) {
+    res.status(401).json({ message: 'User not authorized' });
+    return null;
+  }
+  
+  return list;
+};
+
+const sendListError = (res, error) => {
+  console.error(error);
+  if (error.kind === 'ObjectId') {
+    return res.status(404).json({ message: 'List not found' });
+  }
+  res.status(500).json({ message: 'Server error' });
+};
+
+// @route   POST api/lists
+// @desc    Create a list
+// @access  Private
+router.post(
+  '/',
+  [
+    protect,
+    check('name', 'Name is required').trim().not().isEmpty(),
+    ...listValidation
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const list = await List.create({
+        owner: req.user._id,
+        name: req.body.name,
+        description: req.body.description,
+        isPrivate: String(req.body.isPrivate) === 'true'
+      });
+      
+      res.status(201).json(serializeList(list, { subscribedByMe: false }));
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/lists
+// @desc    Get the current user's own lists
+// @access  Private
+router.get('/', protect, paginate(20), async (req, res) => {
+  try {
+    const lists = await paginateQuery(List, { owner: req.user._id }, req.page);
+    lists.data = await withSubscriptionState(lists.data, req.user);
+    
+    res.json(lists);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/lists/subscribed
+// @desc    Get the lists the current user subscribes to
+// @access  Private
+router.get('/subscribed', protect, paginate(20), async (req, res) => {
+  try {
+    const subscriptions = await paginateQuery(
+      ListSubscription,
+      { user: req.user._id },
+      req.page,
+      { populate: query => query.populate('list') }
+    );
+    
+    // A list made private since is no longer shown to its subscribers
+    subscriptions.data = subscriptions.data
+      .map(subscription => subscription.list)
+      .filter(list => list && !list.isPrivate)
+      .map(list => serializeList(list, { subscribedByMe: true }));
+    
+    res.json(subscriptions);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/lists/user/:userId
+// @desc    Get a user's public lists
+// @access  Public
+router.get(
+  '/user/:userId',
+  [optionalAuth, check('userId').isMongoId()],
+  paginate(20),
+  async (req, res) => {
+    // A malformed id can't name a user, like a bad id anywhere else
+    if (!validationResult(req).isEmpty()) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    try {
+      const filter = { owner: req.params.userId };
+      if (!req.user || !req.user._id.equals(req.params.userId)) {
+        filter.isPrivate = false;
+      }
+      
+      const lists = await paginateQuery(List, filter, req.page);
+      lists.data = await withSubscriptionState(lists.data, req.user);
+      
+      res.json(lists);
+    } catch (error) {
+      console.error(error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/lists/:id
+// @desc    Get a list
+// @access  Public
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const list = await findVisibleList(req, res);
+    if (!list) return;
+    
+    await list.populate('owner', USER_SUMMARY);
+    const [withState] = await withSubscriptionState([list], req.user);
+    
+    res.json(withState);
+  } catch (error) {
+    sendListError(res, error);
+  }
+});
+
+// @route   PUT api/lists/:id
+// @desc    Update a list's name, description or privacy
+// @access  Private
+router.put(
+  '/:id',
+  [
+    protect,
+    check('name', 'Name cannot be empty').optional().trim().not().isEmpty(),
+    ...listValidation
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const list = await findOwnList(req, res);
+      if (!list) return;
+      
+      const { name, description, isPrivate } = req.body;
+      
+      if (name !== undefined) list.name = name;
+      if (description !== undefined) list.description = description;
+      if (isPrivate !== undefined) list.isPrivate = String(isPrivate) === 'true';
+      
+      await list.save();
+      
+      const [withState] = await withSubscriptionState([list], req.user);
+      
+      res.json(withState);
+    } catch (error) {
+      sendListError(res, error);
+    }
+  }
+);
+
+// @route   DELETE api/lists/:id
+// @desc    Delete a list
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    
+    await ListSubscription.deleteMany({ list: list._id });
+    await list.deleteOne();
+    
+    res.json({ message: 'List removed' });
+  } catch (error) {
+    sendListError(res, error);
+  }
+});
+
+// @route   GET api/lists/:id/members
+// @desc    Get a list's members, most recently added first
+// @access  Public
+router.get('/:id/members', optionalAuth, paginate(20, isIdArrayCursor), async (req, res) => {
+  try {
+    const list = await findVisibleList(req, res);
+    if (!list) return;
+    
+    const page = paginateIdArray(list.members, req.page);
+    
+    // Keep the page order, which the $in lookup does not preserve
+    const users = await User.find({ _id: { $in: page.data } }).select(USER_SUMMARY);
+    page.data = await withUserState(
+      page.data
+        .map(id => users.find(u => u._id.toString() === id))
+        .filter(Boolean),
+      req.user
+    );
+    
+    res.json(page);
+  } catch (error) {
+    sendListError(res, error);
+  }
+});
+
+// @route   POST api/lists/:id/members
+// @desc    Add a user to a list
+// @access  Private
+router.post(
+  '/:id/members',
+  [
+    protect,
+    check('userId', 'Invalid user').isMongoId()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const list = await findOwnList(req, res);
+      if (!list) return;
+      
+      const member = await User.findById(req.body.userId).select('_id');
+      
+      if (!member) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      if (await isBlockedBetween(req.user._id, member._id)) {
+        return res.status(403).json({ message: 'You cannot add this user to a list' });
+      }
+      
+      // The size check and the insert happen in one update, so concurrent
+      // additions cannot push the list over the limit
+      const result = await List.updateOne(
+        { _id: list._id, [`members.${MAX_MEMBERS - 1}`]: { $exists: false } },
+        { $addToSet: { members: member._id } }
+      );
+      
+      if (!result.matchedCount) {
+        return res.status(400).json({ message: `Lists are limited to ${MAX_MEMBERS} members` });
+      }
+      
+      res.json({ message: 'Member added' });
+    } catch (error) {
+      sendListError(res, error);
+    }
+  }
+);
+
+// @route   DELETE api/lists/:id/members/:userId
+// @desc    Remove a user from a list
+// @access  Private
+router.delete('/:id/members/:userId', protect, async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    
+    await List.updateOne({ _id: list._id }, { $pull: { members: req.params.userId } });
+    
+    res.json({ message: 'Member removed' });
+  } catch (error) {
+    sendListError(res, error);
+  }
+});
+
+// @route   GET api/lists/:id/timeline
+// @desc    Get tweets from a list's members
+// @access  Public
+router.get('/:id/timeline', optionalAuth, paginate(50), async (req, res) => {
+  try {
+    const list = await findVisibleList(req, res);
+    if (!list) return;
+    
+    const visibility = await getVisibility(req.user);
+    
+    const tweets = await paginateQuery(
+      Tweet,
+      withVisibility({ user: { $in: list.members } }, visibility),
+      req.page,
+      { populate: populateTweet }
+    );
+    tweets.data = await withTweetState(filterEmbedded(tweets.data, visibility), req.user);
+    
+    res.json(tweets);
+  } catch (error) {
+    sendListError(res, error);
+  }
+});
+
+// @route   POST api/lists/:id/subscribe
+// @desc    Subscribe to a list
+// @access  Private
+router.post('/:id/subscribe', protect, async (req, res) => {
+  try {
+    const list = await findVisibleList(req, res);
+    if (!list) return;
+    
+    if (isOwner(list, req.user)) {
+      return res.status(400).json({ message: 'You cannot subscribe to your own list' });
+    }
+    
+    try {
+      await ListSubscription.create({ user: req.user._id, list: list._id });
+      await List.updateOne({ _id: list._id }, { $inc: { subscriberCount: 1 } });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+    }
+    
+    res.json({ subscribed: true });
+  } catch (error) {
+    sendListError(res, error);
+  }
+});
+
+// @route   DELETE api/lists/:id/subscribe
+// @desc    Unsubscribe from a list
+// @access  Private
+router.delete('/:id/subscribe', protect, async (req, res) => {
+  try {
+    const removed = await ListSubscription.findOneAndDelete({
+      user: req.user._id,
+      list: req.params.id
+    });
+    
+    if (removed) {
+      await List.updateOne({ _id: removed.list }, { $inc: { subscriberCount: -1 } });
+    }
+    
+    res.json({ subscribed: false });
+  } catch (error) {
+    sendListError(res, error);
+  }
+});
+
+// @route   GET api/lists/:id/subscribers
+// @desc    Get the users subscribed to a list
+// @access  Private
+router.get('/:id/subscribers', protect, paginate(20), async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    
+    const subscriptions = await paginateQuery(
+      ListSubscription,
+      { list: list._id },
+      req.page,
+      { populate: query => query.populate('user', USER_SUMMARY) }
+    );
+    subscriptions.data = await withUserState(
+      subscriptions.data.map(subscription => subscription.user).filter(Boolean),
+      req.user
+    );
+    
+    res.json(subscriptions);
+  } catch (error) {
+    sendListError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const Media = require('../models/Media');
+const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { uploadFile } = require('../middleware/upload');
+const { createMedia, deleteMedia } = require('../services/media');
+const mediaConfig = require('../config/media');
+
+const altTextValidation = check(
+  'altText',
+  `Alt text cannot exceed ${mediaConfig.maxAltTextLength} characters`
+).optional().isLength({ max: mediaConfig.maxAltTextLength });
+
+// Find media the current user uploaded. Sends the 404 and returns null
+// otherwise.
+const findOwnMedia = async (req, res) => {
+  const media = await Media.findOne({ _id: req.params.id, owner: req.user._id });
+  
+  if (!media) {
+    res.status(404).json({ message: 'Media not found' });
+    return null;
+  }
+  
+  return media;
+};
+
+const sendMediaError = (res, error) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(error);
+  if (error.kind === 'ObjectId') {
+    return res.status(404).json({ message: 'Media not found' });
+  }
+  res.status(500).json({ message: 'Server error' });
+};
+
+// @route   POST api/media
+// @desc    Upload an image, GIF or video in `file`, to attach to a tweet or
+//          draft through mediaIds. Unattached uploads are deleted after a
+//          day.
+// @access  Private
+router.post(
+  '/',
+  protect,
+  rateLimit('post'),
+  uploadFile('file'),
+  [altTextValidation],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({ message: 'A file is required' });
+    }
+    
+    try {
+      const media = await createMedia(req.user, req.file, {
+        folder: 'tweets',
+        altText: req.body.altText,
+        maxDimension: 1000
+      });
+      
+      res.status(201).json(media);
+    } catch (error) {
+      sendMediaError(res, error);
+    }
+  }
+);
+
+// @route   GET api/media/:id
+// @desc    Get media the current user uploaded
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const media = await findOwnMedia(req, res);
+    if (!media) return;
+    
+    res.json(media);
+  } catch (error) {
+    sendMediaError(res, error);
+  }
+});
+
+// @route   PUT api/media/:id
+// @desc    Set the alt text of uploaded media, before or after attaching it
+// @access  Private
+router.put(
+  '/:id',
+  [
+    protect,
+    check('altText', 'Alt text is required').exists(),
+    altTextValidation
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const media = await findOwnMedia(req, res);
+      if (!media) return;
+      
+      media.altText = req.body.altText;
+      await media.save();
+      
+      res.json(media);
+    } catch (error) {
+      sendMediaError(res, error);
+    }
+  }
+);
+
+// @route   DELETE api/media/:id
+// @desc    Delete an upload that is not attached to anything
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const media = await findOwnMedia(req, res);
+    if (!media) return;
+    
+    if (media.usage) {
+      return res.status(409).json({ message: 'Media in use cannot be deleted' });
+    }
+    
+    await deleteMedia({ _id: media._id, usage: null });
+    
+    res.json({ message: 'Media removed' });
+  } catch (error) {
+    sendMediaError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,267 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const ModerationLog = require('../models/ModerationLog');
+const User = require('../models/User');
+const { protect, authorize } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const {
+  findTarget,
+  checkCanActOn,
+  logAction,
+  actOnReport,
+  reinstateUser
+} = require('../services/moderation');
+const { USER_SUMMARY } = require('../utils/populate');
+const { paginateQuery } = require('../utils/pagination');
+
+// What moderators see of the accounts involved in a report
+const MODERATED_USER = `${USER_SUMMARY} role suspendedUntil bannedAt`;
+
+const populateReport = (query) => query
+  .populate('reporter', USER_SUMMARY)
+  .populate('targetUser', MODERATED_USER)
+  .populate('resolvedBy', USER_SUMMARY)
+  .populate({ path: 'target', select: '-password -email -blocked -muted -mutedWords' });
+
+const sendModerationError = (res, error, notFound) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(error);
+  if (error.kind === 'ObjectId') {
+    return res.status(404).json({ message: notFound });
+  }
+  res.status(500).json({ message: 'Server error' });
+};
+
+router.use(protect, authorize('moderator', 'admin'));
+
+// @route   GET api/moderation/reports
+// @desc    Get the report queue, oldest first. Filter with status (default
+//          open), targetType and reason.
+// @access  Moderator
+router.get(
+  '/reports',
+  [
+    check('status', 'Invalid status').optional().isIn(Report.schema.path('status').enumValues),
+    check('targetType', 'Invalid target type').optional().isIn(Report.schema.path('targetType').enumValues),
+    check('reason', 'Invalid reason').optional().isIn(Report.schema.path('reason').enumValues)
+  ],
+  paginate(20),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const filter = { status: req.query.status || 'open' };
+      for (const field of ['targetType', 'reason']) {
+        if (req.query[field]) {
+          filter[field] = req.query[field];
+        }
+      }
+      
+      const reports = await paginateQuery(Report, filter, req.page, {
+        order: 1,
+        populate: populateReport
+      });
+      
+      res.json(reports);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/moderation/reports/:id
+// @desc    Get a report with its target and how many other open reports
+//          the same target has
+// @access  Moderator
+router.get('/reports/:id', async (req, res) => {
+  try {
+    const report = await populateReport(Report.findById(req.params.id));
+    
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    
+    const openReports = await Report.countDocuments({
+      targetType: report.targetType,
+      target: report.target._id || report.target,
+      status: 'open'
+    });
+    
+    res.json({ ...report.toObject(), openReports });
+  } catch (error) {
+    sendModerationError(res, error, 'Report not found');
+  }
+});
+
+// @route   POST api/moderation/reports/:id/actions
+// @desc    Resolve a report by hiding the content, suspending (for
+//          durationHours) or banning its owner, or dismissing it. Every
+//          open report on the same target is resolved with it.
+// @access  Moderator
+router.post(
+  '/reports/:id/actions',
+  [
+    check('action', 'Action must be hide_content, suspend, ban or dismiss')
+      .isIn(['hide_content', 'suspend', 'ban', 'dismiss']),
+    check('durationHours', 'Suspensions need a duration of 1 to 8760 hours')
+      .if(check('action').equals('suspend'))
+      .isInt({ min: 1, max: 8760 })
+      .toInt(),
+    check('note', 'Note cannot exceed 500 characters').optional().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const report = await Report.findById(req.params.id);
+      
+      if (!report) {
+        return res.status(404).json({ message: 'Report not found' });
+      }
+      
+      const entry = await actOnReport(req.user, report, req.body);
+      
+      res.json(entry);
+    } catch (error) {
+      sendModerationError(res, error, 'Report not found');
+    }
+  }
+);
+
+// @route   POST api/moderation/users/:id/reinstate
+// @desc    Lift a user's suspension or ban, restoring content hidden by a ban
+// @access  Moderator
+router.post(
+  '/users/:id/reinstate',
+  [check('note', 'Note cannot exceed 500 characters').optional().isLength({ max: 500 })],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const found = await findTarget('User', req.params.id);
+      
+      if (!found) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      checkCanActOn(req.user, found.owner);
+      
+      if (!(await reinstateUser(found.owner._id))) {
+        return res.status(400).json({ message: 'User is not suspended or banned' });
+      }
+      
+      const entry = await logAction(req.user, 'reinstate', {
+        targetType: 'User',
+        target: found.owner._id,
+        targetUser: found.owner._id,
+        note: req.body.note
+      });
+      
+      res.json(entry);
+    } catch (error) {
+      sendModerationError(res, error, 'User not found');
+    }
+  }
+);
+
+// @route   PUT api/moderation/users/:id/role
+// @desc    Make a user a moderator or admin, or take the role away
+// @access  Admin
+router.put(
+  '/users/:id/role',
+  [
+    authorize('admin'),
+    check('role', 'Role must be user, moderator or admin').isIn(User.schema.path('role').enumValues),
+    check('note', 'Note cannot exceed 500 characters').optional().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      if (req.params.id === req.user._id.toString()) {
+        return res.status(403).json({ message: 'You cannot change your own role' });
+      }
+      
+      const user = await User.findByIdAndUpdate(
+        req.params.id,
+        { $set: { role: req.body.role } },
+        { new: true }
+      ).select(MODERATED_USER);
+      
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      await logAction(req.user, 'set_role', {
+        targetType: 'User',
+        target: user._id,
+        targetUser: user._id,
+        role: user.role,
+        note: req.body.note
+      });
+      
+      res.json(user);
+    } catch (error) {
+      sendModerationError(res, error, 'User not found');
+    }
+  }
+);
+
+// @route   GET api/moderation/log
+// @desc    Get the moderation audit log, newest first. Filter with
+//          moderator or user (the account acted on).
+// @access  Moderator
+router.get(
+  '/log',
+  [
+    check('moderator', 'Invalid moderator').optional().isMongoId(),
+    check('user', 'Invalid user').optional().isMongoId()
+  ],
+  paginate(50),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const filter = {};
+      if (req.query.moderator) {
+        filter.moderator = req.query.moderator;
+      }
+      if (req.query.user) {
+        filter.targetUser = req.query.user;
+      }
+      
+      const entries = await paginateQuery(ModerationLog, filter, req.page, {
+        populate: query => query
+          .populate('moderator', USER_SUMMARY)
+          .populate('targetUser', USER_SUMMARY)
+      });
+      
+      res.json(entries);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const { getVisibility, canSeeAuthor } = require('../services/visibility');
+const { USER_SUMMARY } = require('../utils/populate');
+const { paginateQuery } = require('../utils/pagination');
+
+// Tweet fields checked before a notification shows its tweet
+const TWEET_ACCESS = 'user authorPrivate hiddenAt';
+
+// Number of actors embedded in each notification; actorCount has the total
+const ACTORS_SHOWN = 3;
+
+// @route   GET api/notifications
+// @desc    Get notifications for current user
+// @access  Private
+router.get('/', protect, paginate(20), async (req, res) => {
+  try {
+    const [notifications, unreadCount, visibility] = await Promise.all([
+      paginateQuery(
+        Notification,
+        { recipient: req.user._id },
+        req.page,
+        {
+          sortField: 'updatedAt',
+          populate: query => query
+            .slice('actors', ACTORS_SHOWN)
+            .populate('actors', USER_SUMMARY)
+            .populate('tweet', `content image ${TWEET_ACCESS}`)
+            .populate('comment', 'content')
+        }
+      ),
+      Notification.countDocuments({ recipient: req.user._id, read: false }),
+      getVisibility(req.user)
+    ]);
+    
+    // The tweet may have been hidden, or its author gone private or
+    // blocked the recipient, since the notification was created
+    notifications.data = notifications.data.map(notification => {
+      const { tweet, ...rest } = notification.toObject();
+      if (!tweet) {
+        return { ...rest, tweet };
+      }
+      const { user, authorPrivate, hiddenAt, ...shown } = tweet;
+      return !hiddenAt && canSeeAuthor(user, authorPrivate, visibility)
+        ? { ...rest, tweet: shown }
+        : { ...rest, tweet: null, comment: null };
+    });
+    
+    res.json({ ...notifications, unreadCount });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/notifications/unread-count
+// @desc    Get number of unread notifications
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({
+      recipient: req.user._id,
+      read: false
+    });
+    
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', protect, async (req, res) => {
+  try {
+    await Notification.updateMany(
+      { recipient: req.user._id, read: false },
+      { $set: { read: true } },
+      // Marking as read must not bump notifications to the top of the list
+      { timestamps: false }
+    );
+    
+    res.json({ unreadCount: 0 });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user._id },
+      { $set: { read: true } },
+      { new: true, timestamps: false }
+    );
+    
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    
+    const unreadCount = await Notification.countDocuments({
+      recipient: req.user._id,
+      read: false
+    });
+    
+    res.json({ notification, unreadCount });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
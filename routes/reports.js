@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const { protect } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const { rateLimit } = require('../middleware/rateLimit');
+const { findTarget } = require('../services/moderation');
+const { paginateQuery } = require('../utils/pagination');
+
+const DUPLICATE_KEY = 11000;
+
+// @route   POST api/reports
+// @desc    Report a tweet, comment or user to the moderators
+// @access  Private
+router.post(
+  '/',
+  [
+    protect,
+    rateLimit('report'),
+    check('targetType', 'Target type must be Tweet, Comment or User')
+      .isIn(Report.schema.path('targetType').enumValues),
+    check('target', 'Invalid target').isMongoId(),
+    check('reason', 'Invalid reason').isIn(Report.schema.path('reason').enumValues),
+    check('details', 'Details cannot exceed 500 characters').optional().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { targetType, target, reason, details } = req.body;
+    
+    try {
+      const found = await findTarget(targetType, target);
+      
+      if (!found) {
+        return res.status(404).json({ message: `${targetType} not found` });
+      }
+      
+      if (found.owner._id.equals(req.user._id)) {
+        return res.status(400).json({ message: 'You cannot report yourself' });
+      }
+      
+      const report = await Report.create({
+        reporter: req.user._id,
+        targetType,
+        target,
+        targetUser: found.owner._id,
+        reason,
+        details
+      });
+      
+      res.status(201).json(report);
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) {
+        return res.status(409).json({ message: 'You have already reported this' });
+      }
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/reports
+// @desc    Get the reports the current user has made, newest first
+// @access  Private
+router.get('/', protect, paginate(20), async (req, res) => {
+  try {
+    const reports = await paginateQuery(Report, { reporter: req.user._id }, req.page, {
+      populate: query => query.select('-resolvedBy')
+    });
+    
+    res.json(reports);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+const { optionalAuth } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const { getVisibility, withVisibility, filterEmbedded } = require('../services/visibility');
+const { withTweetState, withUserState } = require('../services/viewerState');
+const { USER_SUMMARY, populateTweet } = require('../utils/populate');
+const { encodeCursor, isOffsetCursor } = require('../utils/pagination');
+const { parseSearchQuery } = require('../utils/search');
+
+// Build the tweet filter for a parsed query, or null if it cannot match
+const buildTweetFilter = async ({ text, filters }) => {
+  const filter = { isRetweet: false };
+  
+  if (text) {
+    filter.$text = { $search: text };
+  }
+  
+  if (filters.from) {
+    const author = await User.findOne({ username: filters.from }).select('_id');
+    if (!author) {
+      return null;
+    }
+    filter.user = author._id;
+  }
+  
+  // Any attached media counts, as do images on tweets from before
+  // attachments
+  if (filters.hasImage) {
+    filter.$or = [
+      { image: { $nin: [null, ''] } },
+      { 'media.0': { $exists: true } }
+    ];
+  }
+  
+  if (filters.since || filters.until) {
+    filter.createdAt = {};
+    if (filters.since) filter.createdAt.$gte = filters.since;
+    if (filters.until) filter.createdAt.$lt = filters.until;
+  }
+  
+  if (filters.minLikes) {
+    filter.likeCount = { $gte: filters.minLikes };
+  }
+  
+  return filter;
+};
+
+const searchTweets = async (filter, hasText, skip, limit) => {
+  const sort = hasText
+    ? { score: { $meta: 'textScore' }, createdAt: -1 }
+    : { createdAt: -1 };
+  
+  const tweets = await populateTweet(
+    Tweet.find(filter, hasText ? { score: { $meta: 'textScore' } } : {})
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .lean()
+  );
+  
+  return tweets.map(({ score, ...tweet }) => ({ type: 'tweet', score: score || 0, tweet }));
+};
+
+const searchUsers = async (text, excludeIds, skip, limit) => {
+  const users = await User.find({ $text: { $search: text }, _id: { $nin: excludeIds } })
+    .select(`${USER_SUMMARY} bio`)
+    .select({ score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+  
+  return users.map(({ score, ...user }) => ({ type: 'user', score, user }));
+};
+
+// @route   GET api/search
+// @desc    Search tweets and users
+// @access  Public
+router.get(
+  '/',
+  optionalAuth,
+  [
+    check('q', 'Search query is required').trim().not().isEmpty(),
+    check('type', 'Type must be one of all, tweets or users')
+      .optional()
+      .isIn(['all', 'tweets', 'users'])
+  ],
+  paginate(20, isOffsetCursor),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const parsed = parseSearchQuery(req.query.q);
+    if (parsed.errors.length) {
+      return res.status(400).json({ errors: parsed.errors.map(msg => ({ msg })) });
+    }
+    
+    try {
+      const type = req.query.type || 'all';
+      const { limit, after } = req.page;
+      // Relevance order has no stable key, so cursors hold an offset into
+      // each result list: [tweetOffset, userOffset]
+      const [tweetOffset, userOffset] = (after || []).map(n => Math.max(parseInt(n, 10) || 0, 0));
+      const offsets = { tweet: tweetOffset || 0, user: userOffset || 0 };
+      const hasFilters = Object.keys(parsed.filters).length > 0;
+      const visibility = await getVisibility(req.user);
+      
+      const searches = [];
+      
+      if (type !== 'users') {
+        const filter = await buildTweetFilter(parsed);
+        if (filter && (parsed.text || hasFilters)) {
+          searches.push(
+            searchTweets(withVisibility(filter, visibility), Boolean(parsed.text), offsets.tweet, limit + 1)
+              .then(results => {
+                // Hidden retweets are already excluded by the query; only
+                // quoted tweets need blanking out
+                filterEmbedded(results.map(result => result.tweet), visibility);
+                return results;
+              })
+          );
+        }
+      }
+      
+      // Filters only apply to tweets, so they rule out user results
+      if (type !== 'tweets' && parsed.text && !hasFilters) {
+        searches.push(searchUsers(
+          parsed.text,
+          visibility ? visibility.blockedIds : [],
+          offsets.user,
+          limit + 1
+        ));
+      }
+      
+      const lists = await Promise.all(searches);
+      
+      // Merge the lists by relevance, tracking how much of each was used
+      const merged = lists.flat().sort((a, b) => b.score - a.score);
+      const data = merged.slice(0, limit);
+      
+      // Results are plain objects, so the flags are set in place
+      await Promise.all([
+        withTweetState(data.filter(result => result.type === 'tweet').map(result => result.tweet), req.user),
+        withUserState(data.filter(result => result.type === 'user').map(result => result.user), req.user)
+      ]);
+      // Every list was asked for one extra result, so leftovers mean more pages
+      const hasNext = merged.length > limit;
+      
+      const used = type => data.filter(result => result.type === type).length;
+      
+      res.json({
+        query: { text: parsed.text, filters: parsed.filters },
+        data,
+        nextCursor: hasNext
+          ? encodeCursor([offsets.tweet + used('tweet'), offsets.user + used('user')])
+          : null,
+        prevCursor: null
+      });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
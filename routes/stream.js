@@ -0,0 +1,220 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const Tweet = require('../models/Tweet');
+const { protect, authenticateToken } = require('../middleware/auth');
+const { getPubSub } = require('../services/pubsub');
+const { channels, publish } = require('../services/realtime');
+const { followingIdsOf } = require('../services/follows');
+const {
+  getVisibility,
+  canSeeAuthor,
+  isHidden,
+  filterEmbedded
+} = require('../services/visibility');
+
+// Comment line sent periodically so proxies keep the connection open
+const HEARTBEAT_INTERVAL = 25 * 1000;
+// Most tweets a single stream can watch for count changes
+const MAX_WATCHED_TWEETS = 200;
+
+// @route   GET api/stream
+// @desc    Server-Sent Events stream of timeline tweets, tweet count changes
+//          and notifications. EventSource cannot send headers, so the JWT
+//          may also be passed as ?token=
+// @access  Private
+router.get('/', async (req, res) => {
+  let token = req.query.token;
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+  
+  if (!token) {
+    return res.status(401).json({ message: 'Not authorized, no token' });
+  }
+  
+  let user;
+  let session;
+  try {
+    ({ user, session } = await authenticateToken(token));
+  } catch (error) {
+    return res.status(401).json({ message: 'Not authorized, token failed' });
+  }
+  
+  if (!user) {
+    return res.status(404).json({ message: 'User not found' });
+  }
+  
+  const restriction = user.restriction();
+  if (restriction) {
+    return res.status(403).json(restriction);
+  }
+  
+  const pubsub = getPubSub();
+  const streamId = crypto.randomUUID();
+  // channel -> unsubscribe function
+  const subscriptions = new Map();
+  let closed = false;
+  
+  const send = (event) => {
+    if (!closed) {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+  };
+  
+  // New tweets go through the same mute, muted word and block checks as
+  // timelines. Visibility is looked up per event so that changes made while
+  // the stream is open apply at once.
+  const sendTweet = async (event) => {
+    if (event.type !== 'tweet') {
+      return send(event);
+    }
+    
+    try {
+      const visibility = await getVisibility(user);
+      const [tweet] = isHidden(event.tweet, visibility)
+        ? []
+        : filterEmbedded([{ ...event.tweet }], visibility);
+      
+      if (tweet) {
+        send({ ...event, tweet });
+      }
+    } catch (error) {
+      console.error(error);
+    }
+  };
+  
+  const subscribe = async (channel, handler = send) => {
+    if (closed || subscriptions.has(channel)) return;
+    // Reserve the slot before awaiting so concurrent calls don't double up
+    subscriptions.set(channel, null);
+    const unsubscribe = await pubsub.subscribe(channel, handler);
+    if (closed || !subscriptions.has(channel)) {
+      await unsubscribe();
+    } else {
+      subscriptions.set(channel, unsubscribe);
+    }
+  };
+  
+  const unsubscribe = async (channel) => {
+    const unsubscribeFn = subscriptions.get(channel);
+    subscriptions.delete(channel);
+    if (unsubscribeFn) {
+      await unsubscribeFn();
+    }
+  };
+  
+  // Tweet channels this stream watches for count changes
+  let watched = new Set();
+  
+  const handleControl = async (message) => {
+    // Only the stream's owner may steer it
+    if (message.userId !== user._id.toString()) return;
+    
+    const next = new Set(message.tweetIds.map(id => channels.tweet(id)));
+    await Promise.all([...watched].filter(c => !next.has(c)).map(unsubscribe));
+    await Promise.all([...next].filter(c => !watched.has(c)).map(c => subscribe(c)));
+    watched = next;
+  };
+  
+  // Keep timeline subscriptions in step with follows made elsewhere, and
+  // hang up when the session behind the stream is revoked
+  const handleUserEvent = async (event) => {
+    if (event.type === 'session_revoked') {
+      if (event.sessionId === session._id.toString()) {
+        res.end();
+      }
+      return;
+    }
+    
+    if (event.type === 'follow_change') {
+      const channel = channels.userTweets(event.userId);
+      if (event.following) {
+        await subscribe(channel, sendTweet);
+      } else {
+        await unsubscribe(channel);
+      }
+      return;
+    }
+    send(event);
+  };
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+  
+  res.on('close', async () => {
+    closed = true;
+    clearInterval(heartbeat);
+    const unsubscribeFns = [...subscriptions.values()].filter(Boolean);
+    subscriptions.clear();
+    await Promise.all(unsubscribeFns.map(fn => fn()));
+  });
+  
+  try {
+    const following = await followingIdsOf(user._id);
+    
+    await Promise.all([
+      subscribe(channels.user(user._id), handleUserEvent),
+      subscribe(channels.stream(streamId), handleControl),
+      subscribe(channels.userTweets(user._id), sendTweet),
+      ...following.map(id => subscribe(channels.userTweets(id), sendTweet))
+    ]);
+    
+    send({ type: 'ready', streamId });
+  } catch (error) {
+    console.error(error);
+    closed = true;
+    res.end();
+  }
+});
+
+// @route   PUT api/stream/:streamId/watch
+// @desc    Set which tweets a stream receives count updates for
+// @access  Private
+router.put(
+  '/:streamId/watch',
+  [
+    protect,
+    check('tweetIds', 'tweetIds must be a list of tweet IDs')
+      .isArray({ max: MAX_WATCHED_TWEETS }),
+    check('tweetIds.*', 'Invalid tweet ID').isMongoId()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      // Counts are only sent for tweets the user could open themselves
+      const [tweets, visibility] = await Promise.all([
+        Tweet.find({ _id: { $in: req.body.tweetIds } }).select('user authorPrivate hiddenAt'),
+        getVisibility(req.user)
+      ]);
+      const tweetIds = tweets
+        .filter(tweet => !tweet.hiddenAt && canSeeAuthor(tweet.user, tweet.authorPrivate, visibility))
+        .map(tweet => tweet._id.toString());
+      
+      // Goes through pub/sub because the stream may be held by another instance
+      await publish(channels.stream(req.params.streamId), {
+        type: 'watch',
+        userId: req.user._id.toString(),
+        tweetIds
+      });
+      
+      res.json({ streamId: req.params.streamId, watching: tweetIds.length });
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
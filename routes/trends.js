@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const Tweet = require('../models/Tweet');
+
+const DEFAULT_WINDOW_HOURS = 24;
+const MAX_WINDOW_HOURS = 168;
+
+// @route   GET api/trends
+// @desc    Get hashtags trending over a recent time window
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const hours = Math.min(
+      Math.max(parseInt(req.query.hours, 10) || DEFAULT_WINDOW_HOURS, 1),
+      MAX_WINDOW_HOURS
+    );
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    
+    const windowEnd = new Date();
+    const windowStart = new Date(windowEnd.getTime() - hours * 60 * 60 * 1000);
+    
+    // Rank by distinct authors first so a single account spamming a tag
+    // cannot push it into the trends on its own. Trends are public, so
+    // private accounts and hidden tweets don't count.
+    const trends = await Tweet.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: windowStart },
+          hashtags: { $ne: [] },
+          authorPrivate: { $ne: true },
+          hiddenAt: null
+        }
+      },
+      { $unwind: '$hashtags' },
+      {
+        $group: {
+          _id: '$hashtags',
+          tweetCount: { $sum: 1 },
+          authors: { $addToSet: '$user' },
+          lastTweetAt: { $max: '$createdAt' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          tag: '$_id',
+          tweetCount: 1,
+          authorCount: { $size: '$authors' },
+          lastTweetAt: 1
+        }
+      },
+      { $sort: { authorCount: -1, tweetCount: -1, lastTweetAt: -1 } },
+      { $limit: limit }
+    ]);
+    
+    res.json({ windowStart, windowEnd, trends });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -5,19 +5,106 @@ const { check, validationResult } = require('express-validator');
 const Tweet = require('../models/Tweet');
 const User = require('../models/User');
 const Comment = require('../models/Comment');
-const { protect } = require('../middleware/auth');
-const { uploadTweetImage } = require('../config/cloudinary');
+const Notification = require('../models/Notification');
+const Bookmark = require('../models/Bookmark');
+const PollVote = require('../models/PollVote');
+const BookmarkFolder = require('../models/BookmarkFolder');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { paginate } = require('../middleware/pagination');
+const { notify, retract } = require('../services/notifications');
+const { publishTweet, publishTweetCounts, publishTweetEdit } = require('../services/realtime');
+const { rankForYou } = require('../services/forYou');
+const { fanOutTweet, removeFromTimelines, readTimeline } = require('../services/timeline');
+const { toggleLike, removeLikes } = require('../services/likes');
+const { editBlockedReason, editContent, revisionHistory, removeRevisions } = require('../services/edits');
+const {
+  BLOCKED_MESSAGE,
+  findOriginalTweet,
+  canInteract,
+  createTweet
+} = require('../services/tweets');
+const { withTweetState, withCommentState } = require('../services/viewerState');
+const {
+  getVisibility,
+  canSeeAuthor,
+  withVisibility,
+  filterEmbedded
+} = require('../services/visibility');
+const { uploadFile } = require('../middleware/upload');
+const { createMedia, deleteMedia } = require('../services/media');
+const mediaConfig = require('../config/media');
+const { USER_SUMMARY, populateTweet } = require('../utils/populate');
+const { encodeCursor, isOffsetCursor, paginateQuery } = require('../utils/pagination');
+const { MIN_DURATION_MINUTES, MAX_DURATION_MINUTES, pollView } = require('../utils/polls');
+
+// How many levels of replies below each direct reply the thread view embeds
+const THREAD_DEPTH = 3;
+// Upper bound on nested replies loaded for a single page of the thread view
+const THREAD_NESTED_LIMIT = 200;
+
+const PROTECTED_RETWEET_MESSAGE = 'Tweets from private accounts cannot be retweeted or quoted';
+
+const DUPLICATE_KEY = 11000;
+
+const hasPoll = (value, { req }) => req.body.pollOptions !== undefined;
+
+const hasMedia = (req) => Boolean(req.file) || Boolean(req.body.mediaIds && req.body.mediaIds.length);
+
+// mediaIds name uploads made through POST /api/media. A multipart form
+// with a single id sends it as a string.
+const mediaValidation = [
+  check('mediaIds', `Attach at most ${mediaConfig.maxImagesPerTweet} media`)
+    .optional()
+    .toArray()
+    .isArray({ max: mediaConfig.maxImagesPerTweet }),
+  check('mediaIds.*', 'Invalid media').isMongoId()
+];
+
+// Media for a new tweet: earlier uploads, plus an image sent along with the
+// request itself (the single-image way of posting that predates uploads)
+const mediaForRequest = async (req) => {
+  const ids = req.body.mediaIds || [];
+  
+  if (!req.file) {
+    return ids;
+  }
+  
+  const media = await createMedia(req.user, req.file, {
+    folder: 'tweets',
+    kinds: ['image', 'gif'],
+    maxDimension: 1000
+  });
+  return [media._id, ...ids];
+};
 
 // @route   POST api/tweets
-// @desc    Create a tweet
+// @desc    Create a tweet. Pass mediaIds to attach uploaded media, or
+//          pollOptions (2 to 4) and pollDurationMinutes to attach a poll.
 // @access  Private
 router.post(
   '/',
   protect,
-  uploadTweetImage.single('image'),
+  rateLimit('post'),
+  uploadFile('image'),
   [
-    check('content', 'Content is required').not().isEmpty().unless((value, { req }) => req.file),
-    check('content', 'Content cannot exceed 280 characters').isLength({ max: 280 })
+    ...mediaValidation,
+    check('content', 'Content is required').if((value, { req }) => !hasMedia(req)).not().isEmpty(),
+    check('content', 'Content cannot exceed 280 characters').isLength({ max: 280 }),
+    check('replyTo', 'Invalid tweet to reply to').optional().isMongoId(),
+    check('pollOptions', 'A poll needs 2 to 4 options').optional().isArray({ min: 2, max: 4 }),
+    check('pollOptions.*', 'Poll options must be 1 to 25 characters').trim().isLength({ min: 1, max: 25 }),
+    check('pollOptions', 'Poll options must be different')
+      .optional()
+      .custom(options => !Array.isArray(options) ||
+        new Set(options.map(option => option.toLowerCase())).size === options.length),
+    check('pollOptions', 'A tweet cannot have both a poll and media')
+      .optional()
+      .custom((value, { req }) => !hasMedia(req)),
+    check(
+      'pollDurationMinutes',
+      `Poll duration must be ${MIN_DURATION_MINUTES} to ${MAX_DURATION_MINUTES} minutes`
+    ).if(hasPoll).isInt({ min: MIN_DURATION_MINUTES, max: MAX_DURATION_MINUTES })
   ],
   async (req, res) => {
     const errors = validationResult(req);
@@ -26,19 +113,24 @@ router.post(
     }
 
     try {
-      const newTweet = new Tweet({
-        user: req.user._id,
-        content: req.body.content || '',
-        image: req.file ? req.file.path : null
+      const { pollOptions, pollDurationMinutes } = req.body;
+      
+      const tweet = await createTweet(req.user, {
+        content: req.body.content,
+        media: await mediaForRequest(req),
+        replyTo: req.body.replyTo,
+        poll: pollOptions
+          ? { options: pollOptions, durationMinutes: parseInt(pollDurationMinutes, 10) }
+          : null
       });
-
-      const tweet = await newTweet.save();
       
-      // Populate user info for response
-      await tweet.populate('user', 'name username profilePicture');
+      const [withState] = await withTweetState([tweet], req.user);
       
-      res.status(201).json(tweet);
+      res.status(201).json(withState);
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
       console.error(error);
       res.status(500).json({ message: 'Server error' });
     }
@@ -48,12 +140,14 @@ router.post(
 // @route   GET api/tweets
 // @desc    Get all tweets
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, paginate(20), async (req, res) => {
   try {
-    const tweets = await Tweet.find()
-      .sort({ createdAt: -1 })
-      .populate('user', 'name username profilePicture isVerified')
-      .limit(20);
+    const visibility = await getVisibility(req.user);
+    
+    const tweets = await paginateQuery(Tweet, withVisibility({}, visibility), req.page, {
+      populate: populateTweet
+    });
+    tweets.data = await withTweetState(filterEmbedded(tweets.data, visibility), req.user);
     
     res.json(tweets);
   } catch (error) {
@@ -65,20 +159,13 @@ router.get('/', async (req, res) => {
 // @route   GET api/tweets/timeline
 // @desc    Get tweets for user timeline (tweets from users they follow)
 // @access  Private
-router.get('/timeline', protect, async (req, res) => {
+router.get('/timeline', protect, paginate(50), async (req, res) => {
   try {
-    const currentUser = await User.findById(req.user._id);
-    
-    // Get tweets from current user and users they follow
-    const tweets = await Tweet.find({
-      $or: [
-        { user: req.user._id },
-        { user: { $in: currentUser.following } }
-      ]
-    })
-    .sort({ createdAt: -1 })
-    .populate('user', 'name username profilePicture isVerified')
-    .limit(50);
+    const visibility = await getVisibility(req.user);
+    
+    // Tweets from the current user and users they follow, precomputed
+    const tweets = await readTimeline(visibility, req.page);
+    tweets.data = await withTweetState(tweets.data, req.user);
     
     res.json(tweets);
   } catch (error) {
@@ -87,19 +174,166 @@ router.get('/timeline', protect, async (req, res) => {
   }
 });
 
+// @route   GET api/tweets/for-you
+// @desc    Get tweets ranked for the current user. Pass explain=true to
+//          include how each tweet was scored.
+// @access  Private
+router.get('/for-you', protect, paginate(20, isOffsetCursor), async (req, res) => {
+  try {
+    const { limit, after } = req.page;
+    // Cursors hold [offset, rankedAt] so that later pages are cut from the
+    // same ranking as the first
+    const [offset, rankedAt] = after || [0, Date.now()];
+    const start = Math.max(parseInt(offset, 10) || 0, 0);
+    const now = Number.isFinite(rankedAt) ? rankedAt : Date.now();
+    
+    const visibility = await getVisibility(req.user);
+    const ranked = await rankForYou(visibility, now);
+    const slice = ranked.slice(start, start + limit);
+    
+    const tweets = await populateTweet(Tweet.find({ _id: { $in: slice.map(item => item.tweet._id) } }));
+    const byId = new Map(tweets.map(tweet => [tweet._id.toString(), tweet]));
+    
+    const data = filterEmbedded(
+      slice
+        .filter(item => byId.has(item.tweet._id.toString()))
+        .map(item => {
+          const tweet = byId.get(item.tweet._id.toString()).toObject();
+          if (req.query.explain === 'true') {
+            tweet.ranking = { rank: start + slice.indexOf(item) + 1, score: item.score, ...item.explanation };
+          }
+          return tweet;
+        }),
+      visibility
+    );
+    
+    res.json({
+      data: await withTweetState(data, req.user),
+      nextCursor: start + limit < ranked.length ? encodeCursor([start + limit, now]) : null,
+      prevCursor: null
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET api/tweets/:id
 // @desc    Get tweet by ID
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const tweet = await Tweet.findById(req.params.id)
-      .populate('user', 'name username profilePicture isVerified');
+    const tweet = await populateTweet(Tweet.findById(req.params.id));
     
     if (!tweet) {
       return res.status(404).json({ message: 'Tweet not found' });
     }
     
-    res.json(tweet);
+    const visibility = await getVisibility(req.user);
+    
+    if (tweet.hiddenAt || !canSeeAuthor(tweet.user._id, tweet.authorPrivate, visibility)) {
+      return res.status(403).json({ message: 'This tweet is unavailable' });
+    }
+    
+    // A retweet of a tweet the viewer can't see is dropped entirely
+    const [filtered] = filterEmbedded([tweet], visibility);
+    if (!filtered) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const [withState] = await withTweetState([filtered], req.user);
+    
+    res.json(withState);
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PATCH api/tweets/:id
+// @desc    Edit a tweet's content, within the edit window and limit
+// @access  Private
+router.patch(
+  '/:id',
+  [
+    protect,
+    check('content', 'Content is required').exists(),
+    check('content', 'Content cannot exceed 280 characters').isLength({ max: 280 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      let tweet = await Tweet.findById(req.params.id);
+      
+      if (!tweet) {
+        return res.status(404).json({ message: 'Tweet not found' });
+      }
+      
+      if (tweet.user.toString() !== req.user._id.toString()) {
+        return res.status(401).json({ message: 'User not authorized' });
+      }
+      
+      if (tweet.isRetweet) {
+        return res.status(400).json({ message: 'Retweets cannot be edited' });
+      }
+      
+      // Same rule as when posting: only tweets with media may have no text
+      if (!req.body.content && !tweet.image && !tweet.media.length) {
+        return res.status(400).json({ message: 'Content is required' });
+      }
+      
+      if (req.body.content !== tweet.content) {
+        const reason = editBlockedReason(tweet);
+        if (reason) {
+          return res.status(403).json({ message: reason });
+        }
+        
+        // Null when a concurrent edit used up the last one
+        tweet = await editContent('Tweet', tweet, req.body.content);
+        if (!tweet) {
+          return res.status(403).json({ message: 'This tweet can no longer be edited' });
+        }
+        
+        await publishTweetEdit(tweet);
+      }
+      
+      await populateTweet(tweet);
+      const [withState] = await withTweetState([tweet], req.user);
+      
+      res.json(withState);
+    } catch (error) {
+      console.error(error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Tweet not found' });
+      }
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/tweets/:id/history
+// @desc    Get every version of a tweet, the current one first
+// @access  Public
+router.get('/:id/history', optionalAuth, async (req, res) => {
+  try {
+    const tweet = await Tweet.findById(req.params.id);
+    
+    if (!tweet) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    if (tweet.hiddenAt || !canSeeAuthor(tweet.user, tweet.authorPrivate, await getVisibility(req.user))) {
+      return res.status(403).json({ message: 'This tweet is unavailable' });
+    }
+    
+    res.json(await revisionHistory('Tweet', tweet));
   } catch (error) {
     console.error(error);
     if (error.kind === 'ObjectId') {
@@ -125,10 +359,67 @@ router.delete('/:id', protect, async (req, res) => {
       return res.status(401).json({ message: 'User not authorized' });
     }
     
-    // Delete comments associated with the tweet
-    await Comment.deleteMany({ tweet: req.params.id });
+    if (tweet.isRetweet) {
+      // Undoing a retweet only affects the original's retweet count, and
+      // only for the request that actually deleted it
+      const { deletedCount } = await Tweet.deleteOne({ _id: tweet._id });
+      const original = deletedCount && await Tweet.findByIdAndUpdate(
+        tweet.parent,
+        { $inc: { retweetCount: -1 } },
+        { new: true }
+      );
+      
+      if (original) {
+        await publishTweetCounts(original);
+        await retract({
+          recipient: original.user,
+          actor: tweet.user,
+          type: 'retweet',
+          tweet: original._id
+        });
+      }
+    } else {
+      // Retweets of a deleted tweet have nothing left to show
+      const retweets = await Tweet.find({ parent: tweet._id, isRetweet: true }).select('_id');
+      await Tweet.deleteMany({ _id: { $in: retweets.map(retweet => retweet._id) } });
+      await removeFromTimelines(retweets.map(retweet => retweet._id));
+      
+      await Bookmark.deleteMany({ tweet: tweet._id });
+      
+      if (tweet.parent) {
+        const parent = await Tweet.findByIdAndUpdate(
+          tweet.parent,
+          { $inc: { replyCount: -1 } },
+          { new: true }
+        );
+        
+        if (parent) {
+          await publishTweetCounts(parent);
+        }
+      }
+      
+      // Quotes keep their own content but lose the embedded tweet
+      await Tweet.updateMany(
+        { quotedTweet: tweet._id },
+        { $unset: { quotedTweet: 1 }, $set: { quotedTweetDeleted: true } }
+      );
+      
+      // Delete comments associated with the tweet, and every like
+      const comments = await Comment.find({ tweet: tweet._id }).select('_id');
+      await Comment.deleteMany({ tweet: tweet._id });
+      await removeLikes('Comment', comments.map(comment => comment._id));
+      await removeLikes('Tweet', [tweet._id]);
+      await removeRevisions('Comment', comments.map(comment => comment._id));
+      await removeRevisions('Tweet', [tweet._id]);
+      await PollVote.deleteMany({ tweet: tweet._id });
+      await deleteMedia({ tweet: tweet._id });
+      
+      // Notifications about the tweet or its comments point at nothing now
+      await Notification.deleteMany({ tweet: tweet._id });
+    }
     
     await tweet.deleteOne();
+    await removeFromTimelines([tweet._id]);
     
     res.json({ message: 'Tweet removed' });
   } catch (error) {
@@ -143,7 +434,7 @@ router.delete('/:id', protect, async (req, res) => {
 // @route   POST api/tweets/:id/like
 // @desc    Like/unlike a tweet
 // @access  Private
-router.post('/:id/like', protect, async (req, res) => {
+router.post('/:id/like', protect, rateLimit('engagement'), async (req, res) => {
   try {
     const tweet = await Tweet.findById(req.params.id);
     
@@ -151,20 +442,25 @@ router.post('/:id/like', protect, async (req, res) => {
       return res.status(404).json({ message: 'Tweet not found' });
     }
     
-    // Check if the tweet has already been liked by the user
-    if (tweet.likes.includes(req.user._id)) {
-      // Unlike
-      tweet.likes = tweet.likes.filter(
-        like => like.toString() !== req.user._id.toString()
-      );
-    } else {
-      // Like
-      tweet.likes.unshift(req.user._id);
+    if (!(await canInteract(req.user, tweet))) {
+      return res.status(403).json({ message: BLOCKED_MESSAGE });
     }
     
-    await tweet.save();
+    const notification = {
+      recipient: tweet.user,
+      actor: req.user._id,
+      type: 'like',
+      tweet: tweet._id
+    };
+    
+    const { liked, changed, target: updated } = await toggleLike(req.user._id, 'Tweet', tweet);
+    
+    if (changed) {
+      await (liked ? notify(notification) : retract(notification));
+      await publishTweetCounts(updated);
+    }
     
-    res.json(tweet.likes);
+    res.json({ liked, likeCount: updated.likeCount });
   } catch (error) {
     console.error(error);
     if (error.kind === 'ObjectId') {
@@ -174,13 +470,267 @@ router.post('/:id/like', protect, async (req, res) => {
   }
 });
 
-// @route   POST api/tweets/:id/comments
-// @desc    Comment on a tweet
+// @route   POST api/tweets/:id/poll/vote
+// @desc    Vote in a tweet's poll. Each user votes once and cannot change
+//          their vote.
 // @access  Private
 router.post(
-  '/:id/comments',
+  '/:id/poll/vote',
   [
     protect,
+    rateLimit('engagement'),
+    check('option', 'Option must be the index of a poll option').isInt({ min: 0 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      // Voting on a retweet votes in the original's poll
+      const tweet = await findOriginalTweet(req.params.id);
+      
+      if (!tweet) {
+        return res.status(404).json({ message: 'Tweet not found' });
+      }
+      
+      if (!tweet.poll) {
+        return res.status(400).json({ message: 'This tweet has no poll' });
+      }
+      
+      if (!(await canInteract(req.user, tweet))) {
+        return res.status(403).json({ message: BLOCKED_MESSAGE });
+      }
+      
+      if (tweet.user.equals(req.user._id)) {
+        return res.status(403).json({ message: 'You cannot vote in your own poll' });
+      }
+      
+      if (tweet.poll.closesAt <= new Date()) {
+        return res.status(403).json({ message: 'This poll has closed' });
+      }
+      
+      const option = parseInt(req.body.option, 10);
+      
+      if (option >= tweet.poll.options.length) {
+        return res.status(400).json({ message: 'Option must be the index of a poll option' });
+      }
+      
+      // The unique index admits one vote per user however many requests
+      // race, and only the request whose vote was recorded moves the counts
+      try {
+        await PollVote.create({ user: req.user._id, tweet: tweet._id, option });
+      } catch (error) {
+        if (error.code !== DUPLICATE_KEY) throw error;
+        return res.status(409).json({ message: 'You have already voted in this poll' });
+      }
+      
+      const updated = await Tweet.findByIdAndUpdate(
+        tweet._id,
+        { $inc: { [`poll.options.${option}.voteCount`]: 1, 'poll.voteCount': 1 } },
+        { new: true }
+      ).select('poll');
+      
+      res.json({ poll: pollView(updated.poll.toObject(), { votedOption: option }) });
+    } catch (error) {
+      console.error(error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Tweet not found' });
+      }
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   POST api/tweets/:id/retweet
+// @desc    Retweet/undo retweet of a tweet
+// @access  Private
+router.post('/:id/retweet', protect, rateLimit('engagement'), async (req, res) => {
+  try {
+    const original = await findOriginalTweet(req.params.id);
+    
+    if (!original) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const existing = await Tweet.findOne({
+      user: req.user._id,
+      parent: original._id,
+      isRetweet: true
+    });
+    
+    // Undoing an existing retweet stays possible after a block
+    if (!existing) {
+      if (original.authorPrivate) {
+        return res.status(403).json({ message: PROTECTED_RETWEET_MESSAGE });
+      }
+      if (!(await canInteract(req.user, original))) {
+        return res.status(403).json({ message: BLOCKED_MESSAGE });
+      }
+    }
+    
+    const notification = {
+      recipient: original.user,
+      actor: req.user._id,
+      type: 'retweet',
+      tweet: original._id
+    };
+    
+    if (existing) {
+      // Undo retweet. Only the request that actually deleted it moves the count.
+      const { deletedCount } = await Tweet.deleteOne({ _id: existing._id });
+      let updated = original;
+      
+      if (deletedCount) {
+        await removeFromTimelines([existing._id]);
+        
+        updated = await Tweet.findByIdAndUpdate(
+          original._id,
+          { $inc: { retweetCount: -1 } },
+          { new: true }
+        );
+        
+        await retract(notification);
+        await publishTweetCounts(updated);
+      }
+      
+      return res.json({ retweeted: false, retweetCount: updated.retweetCount });
+    }
+    
+    // Retweet
+    const retweet = await Tweet.create({
+      user: req.user._id,
+      parent: original._id,
+      isRetweet: true,
+      authorPrivate: req.user.isPrivate
+    });
+    
+    const updated = await Tweet.findByIdAndUpdate(
+      original._id,
+      { $inc: { retweetCount: 1 } },
+      { new: true }
+    );
+    
+    await notify(notification);
+    await publishTweetCounts(updated);
+    
+    await populateTweet(retweet);
+    
+    await fanOutTweet(retweet);
+    await publishTweet(retweet);
+    
+    const [withState] = await withTweetState([retweet], req.user);
+    
+    res.status(201).json({
+      retweeted: true,
+      retweetCount: updated.retweetCount,
+      tweet: withState
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    // Unique index hit by a concurrent retweet of the same tweet
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Tweet already retweeted' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/tweets/:id/bookmark
+// @desc    Bookmark a tweet, optionally in a folder. Bookmarking an already
+//          bookmarked tweet moves it to the given folder.
+// @access  Private
+router.post(
+  '/:id/bookmark',
+  [
+    protect,
+    rateLimit('engagement'),
+    check('folder', 'Invalid folder').optional({ values: 'null' }).isMongoId()
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      // Bookmarking a retweet saves the original
+      const tweet = await findOriginalTweet(req.params.id);
+      
+      if (!tweet || tweet.hiddenAt) {
+        return res.status(404).json({ message: 'Tweet not found' });
+      }
+      
+      if (!canSeeAuthor(tweet.user, tweet.authorPrivate, await getVisibility(req.user))) {
+        return res.status(403).json({ message: 'This tweet is unavailable' });
+      }
+      
+      const folder = req.body.folder
+        ? await BookmarkFolder.findOne({ _id: req.body.folder, user: req.user._id })
+        : null;
+      
+      if (req.body.folder && !folder) {
+        return res.status(404).json({ message: 'Folder not found' });
+      }
+      
+      const bookmark = await Bookmark.findOneAndUpdate(
+        { user: req.user._id, tweet: tweet._id },
+        folder ? { $set: { folder: folder._id } } : { $unset: { folder: 1 } },
+        { upsert: true, new: true }
+      );
+      
+      res.json({ bookmarked: true, folder: bookmark.folder || null });
+    } catch (error) {
+      console.error(error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Tweet not found' });
+      }
+      // Unique index hit by a concurrent bookmark of the same tweet
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'Tweet already bookmarked' });
+      }
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   DELETE api/tweets/:id/bookmark
+// @desc    Remove a bookmark
+// @access  Private
+router.delete('/:id/bookmark', protect, async (req, res) => {
+  try {
+    const tweet = await findOriginalTweet(req.params.id);
+    
+    if (!tweet) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    await Bookmark.deleteOne({ user: req.user._id, tweet: tweet._id });
+    
+    res.json({ bookmarked: false });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/tweets/:id/quote
+// @desc    Quote a tweet with your own content
+// @access  Private
+router.post(
+  '/:id/quote',
+  protect,
+  rateLimit('post'),
+  uploadFile('image'),
+  [
+    ...mediaValidation,
     check('content', 'Content is required').not().isEmpty(),
     check('content', 'Content cannot exceed 280 characters').isLength({ max: 280 })
   ],
@@ -191,29 +741,184 @@ router.post(
     }
 
     try {
-      const tweet = await Tweet.findById(req.params.id);
+      const original = await findOriginalTweet(req.params.id);
       
-      if (!tweet) {
+      if (!original) {
         return res.status(404).json({ message: 'Tweet not found' });
       }
       
-      const newComment = new Comment({
+      if (original.authorPrivate) {
+        return res.status(403).json({ message: PROTECTED_RETWEET_MESSAGE });
+      }
+      
+      if (!(await canInteract(req.user, original))) {
+        return res.status(403).json({ message: BLOCKED_MESSAGE });
+      }
+      
+      const quote = await createTweet(req.user, {
         content: req.body.content,
-        user: req.user._id,
-        tweet: req.params.id
+        media: await mediaForRequest(req),
+        quotedTweet: original
       });
       
-      const comment = await newComment.save();
+      const [withState] = await withTweetState([quote], req.user);
       
-      // Add comment to tweet's comments array
-      tweet.comments.push(comment._id);
-      await tweet.save();
+      res.status(201).json(withState);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      console.error(error);
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Tweet not found' });
+      }
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/tweets/:id/thread
+// @desc    Get a tweet's ancestor chain and paginated reply tree
+// @access  Public
+router.get('/:id/thread', optionalAuth, paginate(20), async (req, res) => {
+  try {
+    const tweet = await populateTweet(Tweet.findById(req.params.id));
+    
+    if (!tweet) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    const visibility = await getVisibility(req.user);
+    
+    if (tweet.hiddenAt || !canSeeAuthor(tweet.user._id, tweet.authorPrivate, visibility)) {
+      return res.status(403).json({ message: 'This tweet is unavailable' });
+    }
+    
+    if (!filterEmbedded([tweet], visibility).length) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    // Ancestors come back unordered, so restore root-to-parent order. Ones
+    // the viewer may not see are left out of the chain.
+    const ancestorDocs = await populateTweet(
+      Tweet.find(withVisibility({ _id: { $in: tweet.ancestors } }, visibility))
+    );
+    const ancestors = tweet.ancestors
+      .map(id => ancestorDocs.find(doc => doc._id.equals(id)))
+      .filter(Boolean);
+    
+    // The author's own self-thread continuation leads the first page,
+    // followed by everyone else's replies oldest first
+    const isFirstPage = !req.page.before && !req.page.after;
+    const selfReplies = isFirstPage
+      ? await Tweet.find(withVisibility(
+        { parent: tweet._id, isRetweet: false, user: tweet.user._id },
+        visibility
+      ))
+        .sort({ createdAt: 1 })
+        .select('_id')
+      : [];
+    
+    const otherReplies = await paginateQuery(
+      Tweet,
+      withVisibility(
+        { parent: tweet._id, isRetweet: false, user: { $ne: tweet.user._id } },
+        visibility
+      ),
+      req.page,
+      { order: 1, populate: query => query.select('_id createdAt') }
+    );
+    
+    const replyIds = [...selfReplies, ...otherReplies.data].map(doc => doc._id);
+    
+    // Nested replies below this page, bounded by depth relative to the tweet
+    const maxAncestors = tweet.ancestors.length + 1 + THREAD_DEPTH;
+    const [replyDocs, nestedDocs] = await Promise.all([
+      populateTweet(Tweet.find({ _id: { $in: replyIds } })),
+      populateTweet(
+        Tweet.find(withVisibility({
+          ancestors: { $in: replyIds },
+          isRetweet: false,
+          [`ancestors.${maxAncestors}`]: { $exists: false }
+        }, visibility))
+        .sort({ createdAt: 1 })
+        .limit(THREAD_NESTED_LIMIT)
+      )
+    ]);
+    
+    // Assemble the tree from the flat lists
+    const nodes = new Map();
+    [...replyDocs, ...nestedDocs].forEach(doc => {
+      nodes.set(doc._id.toString(), { ...doc.toObject(), replies: [] });
+    });
+    nestedDocs.forEach(doc => {
+      // parent is populated, so read the direct parent off the ancestor chain
+      const parentNode = nodes.get(doc.ancestors[doc.ancestors.length - 1].toString());
+      if (parentNode) {
+        parentNode.replies.push(nodes.get(doc._id.toString()));
+      }
+    });
+    nodes.forEach(node => {
+      node.hasMoreReplies = node.replyCount > node.replies.length;
+    });
+    
+    const [tweetWithState, ...ancestorsWithState] = await withTweetState(
+      [tweet, ...filterEmbedded(ancestors, visibility)],
+      req.user
+    );
+    await withTweetState([...nodes.values()], req.user);
+    
+    res.json({
+      ancestors: ancestorsWithState,
+      tweet: tweetWithState,
+      replies: {
+        ...otherReplies,
+        data: replyIds.map(id => nodes.get(id.toString())).filter(Boolean)
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/tweets/:id/comments
+// @desc    Deprecated: reply to a tweet. Replies are tweets now, so this
+//          posts one the same way as POST api/tweets with replyTo and
+//          answers with the reply tweet.
+// @access  Private
+router.post(
+  '/:id/comments',
+  [
+    protect,
+    rateLimit('post'),
+    check('content', 'Content is required').not().isEmpty(),
+    check('content', 'Content cannot exceed 280 characters').isLength({ max: 280 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    res.set('Deprecation', 'true');
+    
+    try {
+      const reply = await createTweet(req.user, {
+        content: req.body.content,
+        replyTo: req.params.id
+      });
       
-      // Populate user info for response
-      await comment.populate('user', 'name username profilePicture');
+      const [withState] = await withTweetState([reply], req.user);
       
-      res.json(comment);
+      res.status(201).json(withState);
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
       console.error(error);
       if (error.kind === 'ObjectId') {
         return res.status(404).json({ message: 'Tweet not found' });
@@ -226,11 +931,27 @@ router.post(
 // @route   GET api/tweets/:id/comments
 // @desc    Get comments for a tweet
 // @access  Public
-router.get('/:id/comments', async (req, res) => {
+router.get('/:id/comments', optionalAuth, paginate(20), async (req, res) => {
   try {
-    const comments = await Comment.find({ tweet: req.params.id })
-      .sort({ createdAt: -1 })
-      .populate('user', 'name username profilePicture isVerified');
+    const visibility = await getVisibility(req.user);
+    
+    const tweet = await Tweet.findById(req.params.id).select('user authorPrivate hiddenAt');
+    
+    if (!tweet) {
+      return res.status(404).json({ message: 'Tweet not found' });
+    }
+    
+    if (tweet.hiddenAt || !canSeeAuthor(tweet.user, tweet.authorPrivate, visibility)) {
+      return res.status(403).json({ message: 'This tweet is unavailable' });
+    }
+    
+    const comments = await paginateQuery(
+      Comment,
+      withVisibility({ tweet: req.params.id }, visibility),
+      req.page,
+      { populate: query => query.populate('user', USER_SUMMARY) }
+    );
+    comments.data = await withCommentState(comments.data, req.user);
     
     res.json(comments);
   } catch (error) {
@@ -245,11 +966,35 @@ router.get('/:id/comments', async (req, res) => {
 // @route   GET api/tweets/user/:userId
 // @desc    Get tweets by user ID
 // @access  Public
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', optionalAuth, paginate(20), async (req, res) => {
   try {
-    const tweets = await Tweet.find({ user: req.params.userId })
-      .sort({ createdAt: -1 })
-      .populate('user', 'name username profilePicture isVerified');
+    const visibility = await getVisibility(req.user);
+    
+    const author = await User.findById(req.params.userId).select('isPrivate');
+    
+    if (!author) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (visibility.blockedIds.includes(req.params.userId)) {
+      return res.status(403).json({ message: 'Tweets from this user are unavailable' });
+    }
+    
+    if (!canSeeAuthor(author._id, author.isPrivate, visibility)) {
+      return res.status(403).json({ message: "This account's tweets are protected" });
+    }
+    
+    // Muted words still apply, but visiting a muted user's profile shows them
+    const tweets = await paginateQuery(
+      Tweet,
+      withVisibility(
+        { user: req.params.userId },
+        { ...visibility, hiddenUserIds: visibility.blockedIds }
+      ),
+      req.page,
+      { populate: populateTweet }
+    );
+    tweets.data = await withTweetState(filterEmbedded(tweets.data, visibility), req.user);
     
     res.json(tweets);
   } catch (error) {
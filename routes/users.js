@@ -3,19 +3,73 @@ const express = require('express');
 const router = express.Router();
 const { check, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
-const { uploadProfilePicture } = require('../config/cloudinary');
-const multer = require('multer');
+const Tweet = require('../models/Tweet');
+const Comment = require('../models/Comment');
+const FollowRequest = require('../models/FollowRequest');
+const Follow = require('../models/Follow');
+const List = require('../models/List');
+const DataExport = require('../models/DataExport');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { notify, retract } = require('../services/notifications');
+const { publishFollowChange } = require('../services/realtime');
+const { backfillAuthor, purgeAuthor } = require('../services/timeline');
+const {
+  createFollow,
+  deleteFollow,
+  isFollowing,
+  followingIdsOf
+} = require('../services/follows');
+const { withUserState } = require('../services/viewerState');
+const { getVisibility, canSeeAuthor, isBlockedBetween } = require('../services/visibility');
+const { paginate } = require('../middleware/pagination');
+const { USER_SUMMARY } = require('../utils/populate');
+const { paginateQuery, paginateIdArray, isIdArrayCursor } = require('../utils/pagination');
+const { uploadFields } = require('../middleware/upload');
+const { createMedia, deleteMedia } = require('../services/media');
+const { revokeForProfileChange } = require('../services/verification');
+const { requestExport, archivePath } = require('../services/dataExport');
+
+const DUPLICATE_KEY = 11000;
+
+// Fields only the account owner may see
+const PRIVATE_FIELDS = '-password -blocked -muted -mutedWords -failedLoginAttempts -lockUntil -role -suspendedUntil -bannedAt';
+
+// Create a follow relationship, notify the followed user, copy their recent
+// tweets into the follower's timeline and subscribe the follower's open
+// streams to their tweets
+const addFollow = async (followerId, followedId) => {
+  if (!(await createFollow(followerId, followedId))) return;
+  
+  await notify({ recipient: followedId, actor: followerId, type: 'follow' });
+  await backfillAuthor(followerId, followedId);
+  await publishFollowChange(followerId, followedId, true);
+};
+
+// Approve a pending follow request
+const approveRequest = async (request) => {
+  await request.deleteOne();
+  await addFollow(request.requester, request.target);
+  await notify({ recipient: request.requester, actor: request.target, type: 'follow_accept' });
+};
+
+// Remove a follow relationship along with its notification and the followed
+// user's tweets in the follower's timeline, and move any open streams of the
+// follower off the followed user's tweets
+const removeFollow = async (followerId, followedId) => {
+  if (!(await deleteFollow(followerId, followedId))) return;
+  
+  await retract({ recipient: followedId, actor: followerId, type: 'follow' });
+  await purgeAuthor(followerId, followedId);
+  await publishFollowChange(followerId, followedId, false);
+};
 
 // @route   GET api/users/me
 // @desc    Get current user
 // @access  Private
 router.get('/me', protect, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id)
-      .select('-password')
-      .populate('followers', '_id name username profilePicture')
-      .populate('following', '_id name username profilePicture');
+    const user = await User.findById(req.user._id).select('-password');
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -28,56 +82,189 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+// The archive's location on disk stays private
+const EXPORT_FIELDS = '-file -leaseExpiresAt';
+
+// @route   POST api/users/me/export
+// @desc    Start building an archive of everything held about the current
+//          user. Poll the returned export until its status is ready.
+// @access  Private
+router.post('/me/export', protect, rateLimit('export'), async (req, res) => {
+  try {
+    const job = await requestExport(req.user._id);
+    
+    res.status(202).json(job);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/users/me/export/:id
+// @desc    Get the status of one of the current user's exports
+// @access  Private
+router.get('/me/export/:id', protect, async (req, res) => {
+  try {
+    const job = await DataExport.findOne({ _id: req.params.id, user: req.user._id })
+      .select(EXPORT_FIELDS);
+    
+    if (!job) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+    
+    res.json(job);
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/users/me/export/:id/download
+// @desc    Download a finished export as a ZIP archive
+// @access  Private
+router.get('/me/export/:id/download', protect, async (req, res) => {
+  try {
+    const job = await DataExport.findOne({ _id: req.params.id, user: req.user._id });
+    
+    if (!job) {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+    
+    if (job.status === 'expired' || (job.expiresAt && job.expiresAt <= new Date())) {
+      return res.status(410).json({ message: 'This export has expired' });
+    }
+    
+    if (job.status !== 'ready') {
+      return res.status(409).json({ message: `This export is ${job.status}` });
+    }
+    
+    const date = job.completedAt.toISOString().slice(0, 10);
+    res.download(archivePath(job), `chirp-${req.user.username}-${date}.zip`, (error) => {
+      if (error && !res.headersSent) {
+        console.error(error);
+        res.status(error.code === 'ENOENT' ? 410 : 500).json({
+          message: error.code === 'ENOENT' ? 'This export has expired' : 'Server error'
+        });
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Export not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET api/users/:username
 // @desc    Get user by username
 // @access  Public
-router.get('/:username', async (req, res) => {
+router.get('/:username', optionalAuth, async (req, res) => {
   try {
     const user = await User.findOne({ username: req.params.username })
-      .select('-password')
-      .populate('followers', '_id name username profilePicture')
-      .populate('following', '_id name username profilePicture');
+      .select(PRIVATE_FIELDS);
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    res.json(user);
+    const [profile] = await withUserState([user], req.user);
+    
+    if (!req.user) {
+      return res.json(profile);
+    }
+    
+    const viewer = await User.findById(req.user._id).select('blocked muted');
+    
+    if (await User.exists({ _id: user._id, blocked: req.user._id })) {
+      return res.status(403).json({ message: 'You are blocked from viewing this profile' });
+    }
+    
+    const followRequested = user.isPrivate && await FollowRequest.exists({
+      requester: req.user._id,
+      target: user._id
+    });
+    
+    res.json({
+      ...profile,
+      blockedByMe: viewer.blocked.some(id => id.equals(user._id)),
+      mutedByMe: viewer.muted.some(id => id.equals(user._id)),
+      followRequested: Boolean(followRequested)
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Profile images: the field they are uploaded in and largest side kept
+const PROFILE_IMAGES = {
+  profilePicture: 500,
+  coverPhoto: 1500
+};
+
 // @route   PUT api/users
-// @desc    Update user profile
+// @desc    Update user profile. removeProfilePicture=true and
+//          removeCoverPhoto=true clear those images.
 // @access  Private
 router.put(
   '/',
   protect,
-  uploadProfilePicture.fields([
+  uploadFields([
     { name: 'profilePicture', maxCount: 1 },
     { name: 'coverPhoto', maxCount: 1 }
   ]),
   async (req, res) => {
     try {
-      const { name, bio, location, website } = req.body;
+      const { name, username, bio, location, website, dmPrivacy, isPrivate } = req.body;
+      
+      // Usernames double as @mentions, so they are limited to word characters
+      if (username && !/^\w{1,20}$/.test(username)) {
+        return res.status(400).json({
+          message: 'Username must be 1 to 20 letters, numbers or underscores'
+        });
+      }
+      
+      if (dmPrivacy && !['everyone', 'following'].includes(dmPrivacy)) {
+        return res.status(400).json({ message: 'dmPrivacy must be everyone or following' });
+      }
+      
+      // Multipart forms send booleans as strings
+      if (isPrivate !== undefined && !['true', 'false', true, false].includes(isPrivate)) {
+        return res.status(400).json({ message: 'isPrivate must be true or false' });
+      }
       
       // Build user object
       const userFields = {};
       if (name) userFields.name = name;
+      if (username) userFields.username = username;
       if (bio) userFields.bio = bio;
       if (location) userFields.location = location;
       if (website) userFields.website = website;
+      if (dmPrivacy) userFields.dmPrivacy = dmPrivacy;
+      if (isPrivate !== undefined) userFields.isPrivate = String(isPrivate) === 'true';
       
-      // Add profile picture if uploaded
-      if (req.files && req.files.profilePicture) {
-        userFields.profilePicture = req.files.profilePicture[0].path;
-      }
-      
-      // Add cover photo if uploaded
-      if (req.files && req.files.coverPhoto) {
-        userFields.coverPhoto = req.files.coverPhoto[0].path;
+      // Store uploaded profile images, or clear them on request
+      for (const [field, maxDimension] of Object.entries(PROFILE_IMAGES)) {
+        const removeFlag = `remove${field[0].toUpperCase()}${field.slice(1)}`;
+        
+        if (req.files && req.files[field]) {
+          const media = await createMedia(req.user, req.files[field][0], {
+            folder: 'profiles',
+            kinds: ['image', 'gif'],
+            usage: field,
+            maxDimension
+          });
+          userFields[field] = media.url;
+        } else if (String(req.body[removeFlag]) === 'true') {
+          userFields[field] = '';
+        }
       }
       
       // Update user
@@ -87,8 +274,51 @@ router.put(
         { new: true }
       ).select('-password');
       
+      // A new name or handle has to be reviewed before it is verified again
+      if (req.user.isVerified &&
+        (user.name !== req.user.name || user.username !== req.user.username)) {
+        await revokeForProfileChange(req.user._id);
+        user.isVerified = false;
+        user.verifiedAt = undefined;
+      }
+      
+      if (userFields.isPrivate !== undefined && userFields.isPrivate !== req.user.isPrivate) {
+        // Keep the copy used for visibility filtering in step
+        await Tweet.updateMany(
+          { user: req.user._id },
+          { $set: { authorPrivate: userFields.isPrivate } },
+          { timestamps: false }
+        );
+        await Comment.updateMany(
+          { user: req.user._id },
+          { $set: { authorPrivate: userFields.isPrivate } },
+          { timestamps: false }
+        );
+        
+        // Going public lets everyone who asked in
+        if (!userFields.isPrivate) {
+          const requests = await FollowRequest.find({ target: req.user._id });
+          for (const request of requests) {
+            await approveRequest(request);
+          }
+        }
+      }
+      
+      // Replaced or removed profile images are no longer shown anywhere
+      for (const field of Object.keys(PROFILE_IMAGES)) {
+        if (userFields[field] !== undefined) {
+          await deleteMedia({ owner: req.user._id, usage: field, url: { $ne: user[field] } });
+        }
+      }
+      
       res.json(user);
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      if (error.code === DUPLICATE_KEY) {
+        return res.status(400).json({ message: 'Username already exists' });
+      }
       console.error(error);
       res.status(500).json({ message: 'Server error' });
     }
@@ -98,7 +328,7 @@ router.put(
 // @route   POST api/users/:id/follow
 // @desc    Follow/unfollow a user
 // @access  Private
-router.post('/:id/follow', protect, async (req, res) => {
+router.post('/:id/follow', protect, rateLimit('follow'), async (req, res) => {
   try {
     if (req.params.id === req.user._id.toString()) {
       return res.status(400).json({ message: 'You cannot follow yourself' });
@@ -109,48 +339,409 @@ router.post('/:id/follow', protect, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    const currentUser = await User.findById(req.user._id);
-    
     // Check if already following
-    if (currentUser.following.includes(req.params.id)) {
+    if (await isFollowing(req.user._id, userToFollow._id)) {
       // Unfollow
-      await User.findByIdAndUpdate(req.user._id, {
-        $pull: { following: req.params.id }
-      });
-      
-      await User.findByIdAndUpdate(req.params.id, {
-        $pull: { followers: req.user._id }
-      });
+      await removeFollow(req.user._id, userToFollow._id);
       
       res.json({ message: 'User unfollowed' });
     } else {
+      if (await isBlockedBetween(req.user._id, userToFollow._id)) {
+        return res.status(403).json({ message: 'You cannot follow this user' });
+      }
+      
+      if (userToFollow.isPrivate) {
+        // Following a private account needs the owner's approval
+        const request = await FollowRequest.findOneAndDelete({
+          requester: req.user._id,
+          target: userToFollow._id
+        });
+        
+        if (request) {
+          await retract({
+            recipient: userToFollow._id,
+            actor: req.user._id,
+            type: 'follow_request'
+          });
+          return res.json({ message: 'Follow request cancelled', requested: false });
+        }
+        
+        try {
+          await FollowRequest.create({ requester: req.user._id, target: userToFollow._id });
+        } catch (error) {
+          // A concurrent request already sent it, and notified the user
+          if (error.code !== DUPLICATE_KEY) {
+            throw error;
+          }
+          return res.json({ message: 'Follow request sent', requested: true });
+        }
+        
+        await notify({
+          recipient: userToFollow._id,
+          actor: req.user._id,
+          type: 'follow_request'
+        });
+        
+        return res.json({ message: 'Follow request sent', requested: true });
+      }
+      
       // Follow
+      await addFollow(req.user._id, userToFollow._id);
+      
+      res.json({ message: 'User followed' });
+    }
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/users/:id/block
+// @desc    Block/unblock a user
+// @access  Private
+router.post('/:id/block', protect, async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot block yourself' });
+    }
+    
+    const userToBlock = await User.findById(req.params.id).select('_id');
+    if (!userToBlock) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const currentUser = await User.findById(req.user._id).select('blocked');
+    
+    if (currentUser.blocked.some(id => id.equals(userToBlock._id))) {
+      // Unblock
       await User.findByIdAndUpdate(req.user._id, {
-        $push: { following: req.params.id }
+        $pull: { blocked: userToBlock._id }
       });
       
-      await User.findByIdAndUpdate(req.params.id, {
-        $push: { followers: req.user._id }
+      return res.json({ message: 'User unblocked', blocked: false });
+    }
+    
+    // Block, and end any follow relationship or list membership in
+    // either direction
+    await User.findByIdAndUpdate(req.user._id, {
+      $addToSet: { blocked: userToBlock._id }
+    });
+    
+    await removeFollow(req.user._id, userToBlock._id);
+    await removeFollow(userToBlock._id, req.user._id);
+    await FollowRequest.deleteMany({
+      $or: [
+        { requester: req.user._id, target: userToBlock._id },
+        { requester: userToBlock._id, target: req.user._id }
+      ]
+    });
+    await List.updateMany({ owner: req.user._id }, { $pull: { members: userToBlock._id } });
+    await List.updateMany({ owner: userToBlock._id }, { $pull: { members: req.user._id } });
+    
+    res.json({ message: 'User blocked', blocked: true });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/users/:id/mute
+// @desc    Mute/unmute a user. Muted users are not told.
+// @access  Private
+router.post('/:id/mute', protect, async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot mute yourself' });
+    }
+    
+    const userToMute = await User.findById(req.params.id).select('_id');
+    if (!userToMute) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const currentUser = await User.findById(req.user._id).select('muted');
+    
+    if (currentUser.muted.some(id => id.equals(userToMute._id))) {
+      // Unmute
+      await User.findByIdAndUpdate(req.user._id, {
+        $pull: { muted: userToMute._id }
       });
       
-      res.json({ message: 'User followed' });
+      return res.json({ message: 'User unmuted', muted: false });
+    }
+    
+    // Mute
+    await User.findByIdAndUpdate(req.user._id, {
+      $addToSet: { muted: userToMute._id }
+    });
+    
+    res.json({ message: 'User muted', muted: true });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/users/me/muted-words
+// @desc    Get current user's muted words and hashtags
+// @access  Private
+router.get('/me/muted-words', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('mutedWords');
+    
+    const now = new Date();
+    res.json(user.mutedWords.filter(word => !word.expiresAt || word.expiresAt > now));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/users/me/muted-words
+// @desc    Mute a word or hashtag, optionally for a number of hours
+// @access  Private
+router.post(
+  '/me/muted-words',
+  [
+    protect,
+    check('keyword', 'Keyword is required').trim().not().isEmpty(),
+    check('keyword', 'Keyword cannot exceed 100 characters').isLength({ max: 100 }),
+    check('expiresInHours', 'expiresInHours must be a positive number')
+      .optional()
+      .isFloat({ gt: 0 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const keyword = req.body.keyword.toLowerCase();
+      const expiresAt = req.body.expiresInHours
+        ? new Date(Date.now() + parseFloat(req.body.expiresInHours) * 60 * 60 * 1000)
+        : undefined;
+      
+      // Re-muting a word replaces its previous expiry
+      await User.findByIdAndUpdate(req.user._id, {
+        $pull: { mutedWords: { keyword } }
+      });
+      
+      const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $push: { mutedWords: { keyword, expiresAt } } },
+        { new: true }
+      ).select('mutedWords');
+      
+      res.status(201).json(user.mutedWords[user.mutedWords.length - 1]);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   DELETE api/users/me/muted-words/:wordId
+// @desc    Unmute a word or hashtag
+// @access  Private
+router.delete('/me/muted-words/:wordId', protect, async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user._id, 'mutedWords._id': req.params.wordId },
+      { $pull: { mutedWords: { _id: req.params.wordId } } }
+    );
+    
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Muted word not found' });
+    }
+    
+    res.json({ message: 'Word unmuted' });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId' || error.name === 'CastError') {
+      return res.status(404).json({ message: 'Muted word not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/users/me/follow-requests
+// @desc    Get pending requests to follow the current user
+// @access  Private
+router.get('/me/follow-requests', protect, paginate(20), async (req, res) => {
+  try {
+    const requests = await paginateQuery(
+      FollowRequest,
+      { target: req.user._id },
+      req.page,
+      { populate: query => query.populate('requester', USER_SUMMARY) }
+    );
+    
+    res.json(requests);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Load a follow request addressed to the current user. Sends the error
+// response and returns null otherwise.
+const findOwnRequest = async (req, res) => {
+  const request = await FollowRequest.findOne({
+    _id: req.params.requestId,
+    target: req.user._id
+  });
+  
+  if (!request) {
+    res.status(404).json({ message: 'Follow request not found' });
+    return null;
+  }
+  
+  return request;
+};
+
+// @route   POST api/users/me/follow-requests/:requestId/approve
+// @desc    Approve a follow request
+// @access  Private
+router.post('/me/follow-requests/:requestId/approve', protect, async (req, res) => {
+  try {
+    const request = await findOwnRequest(req, res);
+    if (!request) return;
+    
+    await approveRequest(request);
+    
+    res.json({ message: 'Follow request approved' });
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Follow request not found' });
     }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/users/me/follow-requests/:requestId/reject
+// @desc    Reject a follow request
+// @access  Private
+router.post('/me/follow-requests/:requestId/reject', protect, async (req, res) => {
+  try {
+    const request = await findOwnRequest(req, res);
+    if (!request) return;
+    
+    await request.deleteOne();
+    await retract({
+      recipient: req.user._id,
+      actor: request.requester,
+      type: 'follow_request'
+    });
+    
+    res.json({ message: 'Follow request rejected' });
   } catch (error) {
     console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Follow request not found' });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Page through one of the current user's lists of users (blocked or
+// muted), newest first
+const listUsers = (field) => async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(field);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const page = paginateIdArray(user[field], req.page);
+    
+    // Keep the page order, which the $in lookup does not preserve
+    const users = await User.find({ _id: { $in: page.data } }).select(USER_SUMMARY);
+    page.data = page.data
+      .map(id => users.find(u => u._id.toString() === id))
+      .filter(Boolean);
+    
+    res.json(page);
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   GET api/users/me/blocked
+// @desc    Get users the current user has blocked
+// @access  Private
+router.get('/me/blocked', protect, paginate(20, isIdArrayCursor), listUsers('blocked'));
+
+// @route   GET api/users/me/muted
+// @desc    Get users the current user has muted
+// @access  Private
+router.get('/me/muted', protect, paginate(20, isIdArrayCursor), listUsers('muted'));
+
+// Page through a user's followers or followings, most recent follow first.
+// `ownerField` is the side of the Follow the user is on, `userField` the
+// side listed.
+const listFollows = (ownerField, userField) => async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('isPrivate');
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!canSeeAuthor(user._id, user.isPrivate, await getVisibility(req.user))) {
+      return res.status(403).json({ message: "This account's connections are protected" });
+    }
+    
+    const page = await paginateQuery(Follow, { [ownerField]: user._id }, req.page, {
+      populate: query => query.populate(userField, USER_SUMMARY)
+    });
+    page.data = await withUserState(
+      page.data.map(follow => follow[userField]).filter(Boolean),
+      req.user
+    );
+    
+    res.json(page);
+  } catch (error) {
+    console.error(error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   GET api/users/:id/followers
+// @desc    Get a user's followers
+// @access  Public
+router.get('/:id/followers', optionalAuth, paginate(20), listFollows('followed', 'follower'));
+
+// @route   GET api/users/:id/following
+// @desc    Get the users a user follows
+// @access  Public
+router.get('/:id/following', optionalAuth, paginate(20), listFollows('follower', 'followed'));
+
 // @route   GET api/users/suggestions
 // @desc    Get user suggestions to follow
 // @access  Private
 router.get('/suggestions', protect, async (req, res) => {
   try {
-    const currentUser = await User.findById(req.user._id);
+    const following = await followingIdsOf(req.user._id);
     
     // Find users that the current user is not following
     const users = await User.find({
-      _id: { $ne: req.user._id, $nin: currentUser.following },
+      _id: { $ne: req.user._id, $nin: following },
     })
     .select('_id name username profilePicture')
     .limit(5);
@@ -0,0 +1,301 @@
+const express = require('express');
+const router = express.Router();
+const { check, validationResult } = require('express-validator');
+const User = require('../models/User');
+const VerificationRequest = require('../models/VerificationRequest');
+const VerificationEvent = require('../models/VerificationEvent');
+const { protect, authorize } = require('../middleware/auth');
+const { paginate } = require('../middleware/pagination');
+const {
+  approveRequest,
+  rejectRequest,
+  revokeVerification
+} = require('../services/verification');
+const { USER_SUMMARY } = require('../utils/populate');
+const { paginateQuery } = require('../utils/pagination');
+
+const DUPLICATE_KEY = 11000;
+
+// What admins see of an applicant
+const APPLICANT = `${USER_SUMMARY} bio website followerCount emailVerified createdAt`;
+
+const noteValidation = [
+  check('note', 'Note cannot exceed 500 characters').optional().isLength({ max: 500 })
+];
+
+// Every application a user has made and every change to their verified
+// status, newest first
+const historyOf = (userId) => Promise.all([
+  VerificationRequest.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .populate('reviewedBy', USER_SUMMARY),
+  VerificationEvent.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .populate('actor', USER_SUMMARY)
+]);
+
+const sendVerificationError = (res, error, notFound) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(error);
+  if (error.kind === 'ObjectId') {
+    return res.status(404).json({ message: notFound });
+  }
+  res.status(500).json({ message: 'Server error' });
+};
+
+// @route   POST api/verification
+// @desc    Apply for verification with a category and 1 to 5 supporting
+//          links
+// @access  Private
+router.post(
+  '/',
+  [
+    protect,
+    check('category', 'Invalid category')
+      .isIn(VerificationRequest.schema.path('category').enumValues),
+    check('links', 'Provide between 1 and 5 supporting links').isArray({ min: 1, max: 5 }),
+    check('links.*', 'Links must be http or https URLs')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true }),
+    check('notes', 'Notes cannot exceed 500 characters').optional().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      if (req.user.isVerified) {
+        return res.status(400).json({ message: 'You are already verified' });
+      }
+      
+      if (!req.user.emailVerified) {
+        return res.status(403).json({ message: 'Verify your email address before applying' });
+      }
+      
+      const request = await VerificationRequest.create({
+        user: req.user._id,
+        category: req.body.category,
+        links: req.body.links,
+        notes: req.body.notes
+      });
+      
+      res.status(201).json(request);
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) {
+        return res.status(409).json({ message: 'You already have an application under review' });
+      }
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/verification/me
+// @desc    Get the current user's verified status, applications and history
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+  try {
+    const [requests, history] = await historyOf(req.user._id);
+    
+    res.json({
+      isVerified: req.user.isVerified,
+      verifiedAt: req.user.verifiedAt,
+      requests,
+      history
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/verification/requests
+// @desc    Get verification requests, oldest first. Filter with status
+//          (default pending) and category.
+// @access  Admin
+router.get(
+  '/requests',
+  [
+    protect,
+    authorize('admin'),
+    check('status', 'Invalid status')
+      .optional()
+      .isIn(VerificationRequest.schema.path('status').enumValues),
+    check('category', 'Invalid category')
+      .optional()
+      .isIn(VerificationRequest.schema.path('category').enumValues)
+  ],
+  paginate(20),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const filter = { status: req.query.status || 'pending' };
+      if (req.query.category) {
+        filter.category = req.query.category;
+      }
+      
+      const requests = await paginateQuery(VerificationRequest, filter, req.page, {
+        order: 1,
+        populate: query => query
+          .populate('user', APPLICANT)
+          .populate('reviewedBy', USER_SUMMARY)
+      });
+      
+      res.json(requests);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// @route   GET api/verification/requests/:id
+// @desc    Get a verification request with the applicant's history
+// @access  Admin
+router.get('/requests/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const request = await VerificationRequest.findById(req.params.id)
+      .populate('user', APPLICANT)
+      .populate('reviewedBy', USER_SUMMARY);
+    
+    if (!request) {
+      return res.status(404).json({ message: 'Verification request not found' });
+    }
+    
+    const [requests, history] = await historyOf(request.user._id);
+    
+    res.json({
+      ...request.toObject(),
+      previousRequests: requests.filter(other => !other._id.equals(request._id)),
+      history
+    });
+  } catch (error) {
+    sendVerificationError(res, error, 'Verification request not found');
+  }
+});
+
+// Approve or reject a pending request
+const reviewRequest = (review) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  try {
+    const request = await VerificationRequest.findById(req.params.id);
+    
+    if (!request) {
+      return res.status(404).json({ message: 'Verification request not found' });
+    }
+    
+    res.json(await review(req.user, request, req.body.note));
+  } catch (error) {
+    sendVerificationError(res, error, 'Verification request not found');
+  }
+};
+
+// @route   POST api/verification/requests/:id/approve
+// @desc    Approve a pending request and verify the applicant
+// @access  Admin
+router.post(
+  '/requests/:id/approve',
+  [protect, authorize('admin'), ...noteValidation],
+  reviewRequest(approveRequest)
+);
+
+// @route   POST api/verification/requests/:id/reject
+// @desc    Reject a pending request
+// @access  Admin
+router.post(
+  '/requests/:id/reject',
+  [protect, authorize('admin'), ...noteValidation],
+  reviewRequest(rejectRequest)
+);
+
+// @route   DELETE api/verification/requests/:id
+// @desc    Withdraw the current user's pending request
+// @access  Private
+router.delete('/requests/:id', protect, async (req, res) => {
+  try {
+    const request = await VerificationRequest.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, status: 'pending' },
+      { $set: { status: 'withdrawn' } },
+      { new: true }
+    );
+    
+    if (!request) {
+      return res.status(404).json({ message: 'Verification request not found' });
+    }
+    
+    res.json(request);
+  } catch (error) {
+    sendVerificationError(res, error, 'Verification request not found');
+  }
+});
+
+// @route   POST api/verification/users/:id/revoke
+// @desc    Take a user's verification away
+// @access  Admin
+router.post(
+  '/users/:id/revoke',
+  [
+    protect,
+    authorize('admin'),
+    check('reason', 'Reason cannot exceed 500 characters').optional().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    try {
+      const user = await User.findById(req.params.id).select('_id');
+      
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      
+      const revoked = await revokeVerification(user._id, {
+        actor: req.user,
+        reason: req.body.reason
+      });
+      
+      if (!revoked) {
+        return res.status(400).json({ message: 'User is not verified' });
+      }
+      
+      res.json({ message: 'Verification revoked' });
+    } catch (error) {
+      sendVerificationError(res, error, 'User not found');
+    }
+  }
+);
+
+// @route   GET api/verification/users/:id/history
+// @desc    Get a user's applications and verification history
+// @access  Admin
+router.get('/users/:id/history', protect, authorize('admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(`${APPLICANT} verifiedAt`);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const [requests, history] = await historyOf(user._id);
+    
+    res.json({ user, requests, history });
+  } catch (error) {
+    sendVerificationError(res, error, 'User not found');
+  }
+});
+
+module.exports = router;
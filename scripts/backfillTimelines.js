@@ -0,0 +1,55 @@
+// Build the precomputed home timelines from existing tweets.
+//
+// Usage: node scripts/backfillTimelines.js [--per-author=200]
+//
+// Each author's most recent tweets are fanned out to their own and their
+// followers' timelines, the same way new tweets are. Writes are upserts, so
+// the script is safe to re-run after an interruption. Entries written
+// before timelines had a retention period are given their expiry.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+const TimelineEntry = require('../models/TimelineEntry');
+const { RETENTION_MS, fanOutTweets } = require('../services/timeline');
+
+const perAuthorArg = process.argv.find(arg => arg.startsWith('--per-author='));
+const PER_AUTHOR = perAuthorArg ? parseInt(perAuthorArg.split('=')[1], 10) : 200;
+
+const backfill = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  let authors = 0;
+  let tweets = 0;
+  
+  const cursor = User.find().select('_id').cursor();
+  
+  for await (const user of cursor) {
+    const recent = await Tweet.find({ user: user._id })
+      .sort({ createdAt: -1 })
+      .limit(PER_AUTHOR)
+      .select('user createdAt')
+      .lean();
+    
+    if (recent.length) {
+      await fanOutTweets(user._id, recent);
+      authors++;
+      tweets += recent.length;
+    }
+  }
+  
+  const expired = await TimelineEntry.updateMany(
+    { expiresAt: null },
+    [{ $set: { expiresAt: { $add: ['$createdAt', RETENTION_MS] } } }]
+  );
+  
+  console.log(`Fanned out ${tweets} tweets from ${authors} authors`);
+  console.log(`Set the expiry of ${expired.modifiedCount} older entries`);
+};
+
+backfill()
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,93 @@
+// Convert legacy Comment documents into reply tweets.
+//
+// Usage: node scripts/migrateCommentsToReplies.js [--delete]
+//
+// Run scripts/migrateEdges.js first, so comment likes are Like documents;
+// they are moved over to the replies.
+//
+// Each reply reuses its comment's _id, so the script is safe to re-run after
+// an interruption: already migrated comments are skipped. Pass --delete to
+// remove the migrated comments once their reply exists.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Tweet = require('../models/Tweet');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Revision = require('../models/Revision');
+
+const deleteMigrated = process.argv.includes('--delete');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  let migrated = 0;
+  let skipped = 0;
+  let orphaned = 0;
+  
+  const cursor = Comment.find().sort({ createdAt: 1 }).cursor();
+  
+  for await (const comment of cursor) {
+    const tweet = await Tweet.findById(comment.tweet);
+    
+    if (!tweet) {
+      orphaned++;
+      continue;
+    }
+    
+    const result = await Tweet.updateOne(
+      { _id: comment._id },
+      {
+        $setOnInsert: {
+          user: comment.user,
+          content: comment.content,
+          entities: comment.entities,
+          hashtags: comment.hashtags,
+          authorPrivate: comment.authorPrivate,
+          hiddenAt: comment.hiddenAt,
+          likeCount: comment.likeCount,
+          isEdited: comment.isEdited,
+          editCount: comment.editCount,
+          editedAt: comment.editedAt,
+          parent: tweet._id,
+          ancestors: [...tweet.ancestors, tweet._id],
+          createdAt: comment.createdAt,
+          updatedAt: comment.updatedAt
+        }
+      },
+      { upsert: true, timestamps: false }
+    );
+    
+    // The reply has the comment's _id, so its likes and revisions only
+    // change type. Done on every run so that a run interrupted after the
+    // upsert doesn't leave them behind.
+    await Like.updateMany(
+      { targetType: 'Comment', target: comment._id },
+      { $set: { targetType: 'Tweet' } }
+    );
+    await Revision.updateMany(
+      { targetType: 'Comment', target: comment._id },
+      { $set: { targetType: 'Tweet' } }
+    );
+    
+    if (result.upsertedCount) {
+      await Tweet.findByIdAndUpdate(tweet._id, { $inc: { replyCount: 1 } });
+      migrated++;
+    } else {
+      skipped++;
+    }
+    
+    if (deleteMigrated) {
+      await Tweet.findByIdAndUpdate(tweet._id, { $pull: { comments: comment._id } });
+      await comment.deleteOne();
+    }
+  }
+  
+  console.log(`Migrated ${migrated} comments, skipped ${skipped} already migrated, ${orphaned} without a tweet`);
+};
+
+migrate()
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
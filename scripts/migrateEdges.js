@@ -0,0 +1,129 @@
+// Move likes and follows out of the embedded arrays on tweets, comments and
+// users into Like and Follow documents, and set the denormalised counters
+// (likeCount, retweetCount, followerCount, followingCount).
+//
+// Usage: node scripts/migrateEdges.js [--keep-arrays]
+//
+// Edges are upserted and counters are recounted from the edge collections,
+// so the script is safe to re-run after an interruption. The old arrays are
+// removed once counted unless --keep-arrays is passed. Run it before
+// scripts/migrateCommentsToReplies.js.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Tweet = require('../models/Tweet');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+
+const keepArrays = process.argv.includes('--keep-arrays');
+
+// The arrays are no longer in the schemas, so documents are read and
+// updated through the raw collections
+const upsertEdges = (Model, edges) => {
+  if (!edges.length) return null;
+  
+  return Model.bulkWrite(edges.map(({ filter, createdAt }) => ({
+    updateOne: {
+      filter,
+      update: { $setOnInsert: { createdAt, updatedAt: createdAt } },
+      upsert: true,
+      timestamps: false
+    }
+  })), { ordered: false });
+};
+
+// When a like happened was never stored, so edges take the liked
+// document's creation time
+const migrateLikes = async (Model, targetType) => {
+  let migrated = 0;
+  
+  const cursor = Model.collection.find({}, { projection: { user: 1, likes: 1, createdAt: 1 } });
+  
+  for await (const doc of cursor) {
+    await upsertEdges(Like, (doc.likes || []).map(userId => ({
+      filter: { user: userId, targetType, target: doc._id, author: doc.user },
+      createdAt: doc.createdAt
+    })));
+    
+    const update = {
+      $set: { likeCount: await Like.countDocuments({ targetType, target: doc._id }) }
+    };
+    
+    // Retweets are already tweets of their own, so only the count is new
+    if (targetType === 'Tweet') {
+      update.$set.retweetCount = await Tweet.countDocuments({ parent: doc._id, isRetweet: true });
+    }
+    
+    if (!keepArrays) {
+      update.$unset = targetType === 'Tweet' ? { likes: '', retweets: '' } : { likes: '' };
+    }
+    
+    await Model.collection.updateOne({ _id: doc._id }, update);
+    migrated++;
+  }
+  
+  return migrated;
+};
+
+// Both sides of each follow were stored, and either may be missing after
+// past failed writes, so edges are taken from both arrays
+const migrateFollows = async () => {
+  let migrated = 0;
+  
+  const cursor = User.collection.find({}, { projection: { followers: 1, following: 1, createdAt: 1 } });
+  
+  for await (const user of cursor) {
+    await upsertEdges(Follow, [
+      ...(user.following || []).map(followed => ({
+        filter: { follower: user._id, followed },
+        createdAt: user.createdAt
+      })),
+      ...(user.followers || []).map(follower => ({
+        filter: { follower, followed: user._id },
+        createdAt: user.createdAt
+      }))
+    ]);
+    migrated++;
+  }
+  
+  // Counters need every edge in place, so they are set in a second pass
+  const counts = User.collection.find({}, { projection: { _id: 1 } });
+  
+  for await (const user of counts) {
+    const update = {
+      $set: {
+        followerCount: await Follow.countDocuments({ followed: user._id }),
+        followingCount: await Follow.countDocuments({ follower: user._id })
+      }
+    };
+    
+    if (!keepArrays) {
+      update.$unset = { followers: '', following: '' };
+    }
+    
+    await User.collection.updateOne({ _id: user._id }, update);
+  }
+  
+  return migrated;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  // Make sure the unique indexes exist before upserting into them
+  await Promise.all([Like.init(), Follow.init()]);
+  
+  const tweets = await migrateLikes(Tweet, 'Tweet');
+  const comments = await migrateLikes(Comment, 'Comment');
+  const users = await migrateFollows();
+  
+  console.log(`Migrated likes of ${tweets} tweets and ${comments} comments, and follows of ${users} users`);
+};
+
+migrate()
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
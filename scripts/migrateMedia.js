@@ -0,0 +1,123 @@
+// Record images uploaded before media attachments as Media documents, so
+// they are deleted with their tweet or when a profile image is replaced.
+//
+// Usage: node scripts/migrateMedia.js
+//
+// Tweet.image becomes a one-item Tweet.media; profile pictures and cover
+// photos keep their URLs and gain a Media record. Only Cloudinary URLs can
+// be converted, as deleting needs their public id; others are left alone
+// and counted. Converted tweets no longer match and users already recorded
+// are skipped, so the script is safe to re-run after an interruption.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+const Media = require('../models/Media');
+const { mediaKindOf } = require('../utils/media');
+
+// Old uploads were limited to these formats
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif'
+};
+
+// e.g. https://res.cloudinary.com/<cloud>/image/upload/v123/chirp-social/tweets/abc.jpg
+const CLOUDINARY_URL = /^https?:\/\/res\.cloudinary\.com\/[^/]+\/(image|video)\/upload\/(?:v\d+\/)?(.+?)\.(\w+)$/;
+
+// Media fields for an old upload, or null if the URL cannot be converted
+const mediaFor = (owner, url) => {
+  const match = CLOUDINARY_URL.exec(url);
+  const mimeType = match && MIME_TYPES[match[3].toLowerCase()];
+  
+  if (!mimeType) {
+    return null;
+  }
+  
+  return {
+    owner,
+    kind: mediaKindOf(mimeType),
+    mimeType,
+    // Sizes were never recorded
+    size: 0,
+    provider: 'cloudinary',
+    key: `${match[1]}/${match[2]}`,
+    url
+  };
+};
+
+const migrateTweets = async () => {
+  let migrated = 0;
+  let skipped = 0;
+  
+  const cursor = Tweet.find({ image: { $nin: [null, ''] }, 'media.0': { $exists: false } })
+    .select('user image')
+    .cursor();
+  
+  for await (const tweet of cursor) {
+    const fields = mediaFor(tweet.user, tweet.image);
+    
+    if (!fields) {
+      skipped++;
+      continue;
+    }
+    
+    const media = await Media.create({ ...fields, usage: 'tweet', tweet: tweet._id });
+    await Tweet.updateOne(
+      { _id: tweet._id },
+      { $set: { media: [media._id] }, $unset: { image: 1 } },
+      { timestamps: false }
+    );
+    migrated++;
+  }
+  
+  console.log(`Migrated ${migrated} tweet images, skipped ${skipped} not on Cloudinary`);
+};
+
+const migrateProfiles = async () => {
+  let migrated = 0;
+  let skipped = 0;
+  
+  const cursor = User.find({
+    $or: [{ profilePicture: { $nin: [null, ''] } }, { coverPhoto: { $nin: [null, ''] } }]
+  })
+    .select('profilePicture coverPhoto')
+    .cursor();
+  
+  for await (const user of cursor) {
+    for (const usage of ['profilePicture', 'coverPhoto']) {
+      const url = user[usage];
+      
+      if (!url || await Media.exists({ owner: user._id, usage, url })) {
+        continue;
+      }
+      
+      const fields = mediaFor(user._id, url);
+      
+      if (!fields) {
+        skipped++;
+        continue;
+      }
+      
+      await Media.create({ ...fields, usage });
+      migrated++;
+    }
+  }
+  
+  console.log(`Migrated ${migrated} profile images, skipped ${skipped} not on Cloudinary`);
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  await migrateTweets();
+  await migrateProfiles();
+};
+
+migrate()
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
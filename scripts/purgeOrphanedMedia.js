@@ -0,0 +1,26 @@
+// Delete uploads that were never attached to a tweet, draft, profile or
+// message, along with their files.
+//
+// Usage: node scripts/purgeOrphanedMedia.js
+//
+// Only uploads older than config/media.js's orphanHours are touched, so
+// files a client is about to attach are left alone. Run it periodically,
+// e.g. from cron.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { purgeOrphanedMedia } = require('../services/media');
+
+const purge = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  const purged = await purgeOrphanedMedia();
+  
+  console.log(`Purged ${purged} unattached uploads`);
+};
+
+purge()
+  .catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
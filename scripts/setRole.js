@@ -0,0 +1,36 @@
+// Give a user a role from the command line, e.g. to appoint the first
+// admin, who can then manage roles through /api/moderation.
+//
+// Usage: node scripts/setRole.js <username> <user|moderator|admin>
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const [username, role] = process.argv.slice(2);
+
+const setRole = async () => {
+  if (!username || !User.schema.path('role').enumValues.includes(role)) {
+    throw new Error('Usage: node scripts/setRole.js <username> <user|moderator|admin>');
+  }
+  
+  await mongoose.connect(process.env.MONGODB_URI);
+  
+  const user = await User.findOneAndUpdate(
+    { username: username.toLowerCase() },
+    { $set: { role } },
+    { new: true }
+  );
+  
+  if (!user) {
+    throw new Error(`No user named ${username}`);
+  }
+  
+  console.log(`${user.username} is now ${user.role}`);
+};
+
+setRole()
+  .catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -5,16 +5,47 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const morgan = require('morgan');
 const path = require('path');
+const { rateLimit } = require('./middleware/rateLimit');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const tweetRoutes = require('./routes/tweets');
 const commentRoutes = require('./routes/comments');
+const notificationRoutes = require('./routes/notifications');
+const hashtagRoutes = require('./routes/hashtags');
+const trendRoutes = require('./routes/trends');
+const searchRoutes = require('./routes/search');
+const conversationRoutes = require('./routes/conversations');
+const streamRoutes = require('./routes/stream');
+const bookmarkRoutes = require('./routes/bookmarks');
+const listRoutes = require('./routes/lists');
+const draftRoutes = require('./routes/drafts');
+const mediaRoutes = require('./routes/media');
+const reportRoutes = require('./routes/reports');
+const moderationRoutes = require('./routes/moderation');
+const verificationRoutes = require('./routes/verification');
+const { getMediaStore } = require('./services/media');
+const { startScheduler } = require('./services/scheduler');
+const { startExportWorker } = require('./services/dataExport');
 
 // Initialize express app
 const app = express();
 
+// Behind a reverse proxy, req.ip must come from X-Forwarded-For for
+// per-IP rate limits to work. TRUST_PROXY is "true", a hop count or a
+// list of trusted addresses.
+const { TRUST_PROXY } = process.env;
+if (TRUST_PROXY) {
+  if (TRUST_PROXY === 'true') {
+    app.set('trust proxy', true);
+  } else if (/^\d+$/.test(TRUST_PROXY)) {
+    app.set('trust proxy', parseInt(TRUST_PROXY, 10));
+  } else {
+    app.set('trust proxy', TRUST_PROXY);
+  }
+}
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
   .then(() => console.log('MongoDB connected'))
@@ -25,11 +56,31 @@ app.use(cors());
 app.use(express.json());
 app.use(morgan('dev'));
 
+// Files kept by the local media store are served by the app itself
+const mediaStore = getMediaStore();
+if (mediaStore.serve) {
+  app.use('/media', mediaStore.serve());
+}
+
 // Routes
+app.use('/api', rateLimit('api'));
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/tweets', tweetRoutes);
 app.use('/api/comments', commentRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/hashtags', hashtagRoutes);
+app.use('/api/trends', trendRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/lists', listRoutes);
+app.use('/api/drafts', draftRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/verification', verificationRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -44,4 +95,8 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  
+  // Publish scheduled tweets as they fall due
+  startScheduler();
+  startExportWorker();
 });
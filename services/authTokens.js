@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+
+// How long each kind of emailed token stays valid
+const TOKEN_TTL = {
+  password_reset: 60 * 60 * 1000,
+  email_verification: 24 * 60 * 60 * 1000,
+  email_change: 24 * 60 * 60 * 1000
+};
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a token of `type` for a user and return the raw value to email.
+// Any earlier unused token of the same type stops working.
+const issueToken = async (userId, type, { email } = {}) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  
+  await AuthToken.deleteMany({ user: userId, type, usedAt: null });
+  
+  await AuthToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    email,
+    expiresAt: new Date(Date.now() + TOKEN_TTL[type])
+  });
+  
+  return token;
+};
+
+// Mark a token as used and return it, or null if it is unknown, expired or
+// already used. The update is atomic, so a token can only be used once.
+const consumeToken = (token, type) =>
+  AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+
+module.exports = {
+  issueToken,
+  consumeToken
+};
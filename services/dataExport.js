@@ -0,0 +1,403 @@
+const crypto = require('crypto');
+const { createWriteStream } = require('fs');
+const fs = require('fs/promises');
+const path = require('path');
+const { Readable } = require('stream');
+const archiver = require('archiver');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const Tweet = require('../models/Tweet');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const Media = require('../models/Media');
+const exportConfig = require('../config/dataExport');
+const { openMedia } = require('./media');
+const { extensionFor } = require('../utils/media');
+const { escapeHtml } = require('../utils/html');
+const { USER_SUMMARY } = require('../utils/populate');
+
+// Builds archives of everything held about a user: JSON files for their
+// profile, tweets, comments, likes, followers and following, their uploaded
+// media and an index.html to browse it all. Exports are requested through
+// the API and built in the background by a worker every instance runs.
+// Claiming an export is a lease, as for scheduled tweets (see
+// services/scheduler.js), so one left behind by a crashed instance is
+// picked up again. Finished archives are deleted once they expire.
+//
+// DATA_EXPORT_ENABLED=false turns the worker off for this instance.
+
+// How long a claim lasts before the export is considered abandoned
+const LEASE_MS = 30 * 60 * 1000;
+// Attempts before an export is given up on
+const MAX_ATTEMPTS = 3;
+
+const DUPLICATE_KEY = 11000;
+
+// Fields left out of the exported profile
+const INTERNAL_USER_FIELDS = '-password -failedLoginAttempts -lockUntil';
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 16).replace('T', ' ') : '');
+
+const mediaPath = (media) => `media/${media._id}.${extensionFor(media.mimeType) || 'bin'}`;
+
+const userLink = (user) => (user
+  ? `${escapeHtml(user.name)} (@${escapeHtml(user.username)})`
+  : 'Deleted account');
+
+// Everything in the archive apart from the profile and media. Each section
+// becomes <name>.json and a browsable <name>.html.
+const SECTIONS = [
+  {
+    name: 'tweets',
+    title: 'Tweets',
+    query: userId => Tweet.find({ user: userId }).sort({ createdAt: 1 }),
+    html: tweet => `${formatDate(tweet.createdAt)} — ${tweet.isRetweet
+      ? `Retweeted ${escapeHtml(tweet.parent)}`
+      : escapeHtml(tweet.content)}${(tweet.media || [])
+      .map(id => ` <a href="media.html#${id}">[media]</a>`)
+      .join('')}`
+  },
+  {
+    name: 'comments',
+    title: 'Comments',
+    query: userId => Comment.find({ user: userId }).sort({ createdAt: 1 }),
+    html: comment => `${formatDate(comment.createdAt)} — ${escapeHtml(comment.content)}`
+  },
+  {
+    name: 'likes',
+    title: 'Likes',
+    query: userId => Like.find({ user: userId }).sort({ createdAt: 1 }),
+    html: like => `${formatDate(like.createdAt)} — ${like.targetType} ${escapeHtml(like.target)}`
+  },
+  {
+    name: 'followers',
+    title: 'Followers',
+    query: userId => Follow.find({ followed: userId })
+      .sort({ createdAt: 1 })
+      .populate('follower', USER_SUMMARY),
+    json: follow => ({ user: follow.follower, followedAt: follow.createdAt }),
+    html: follow => `${userLink(follow.follower)}, since ${formatDate(follow.createdAt)}`
+  },
+  {
+    name: 'following',
+    title: 'Following',
+    query: userId => Follow.find({ follower: userId })
+      .sort({ createdAt: 1 })
+      .populate('followed', USER_SUMMARY),
+    json: follow => ({ user: follow.followed, followedAt: follow.createdAt }),
+    html: follow => `${userLink(follow.followed)}, since ${formatDate(follow.createdAt)}`
+  }
+];
+
+// Stream a query's results as a JSON array, one document at a time
+async function* jsonArray(query, transform = doc => doc) {
+  let first = true;
+  
+  yield '[';
+  for await (const doc of query.lean().cursor()) {
+    yield `${first ? '' : ','}\n  ${JSON.stringify(transform(doc))}`;
+    first = false;
+  }
+  yield first ? ']\n' : '\n]\n';
+}
+
+const pageStart = (title) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>body{font-family:sans-serif;max-width:48em;margin:2em auto;padding:0 1em}li{margin:.5em 0}</style>
+</head>
+<body>
+`;
+
+const PAGE_END = '</body>\n</html>\n';
+
+const BACK_LINK = '<p><a href="index.html">Back to the index</a></p>\n';
+
+// Stream a query's results as an HTML page listing one item per document,
+// counting them into `counts`
+async function* htmlList(section, query, counts) {
+  counts[section.name] = 0;
+  
+  yield `${pageStart(section.title)}${BACK_LINK}<h1>${section.title}</h1>\n<ul>\n`;
+  for await (const doc of query.lean().cursor()) {
+    yield `<li id="${doc._id}">${section.html(doc)}</li>\n`;
+    counts[section.name]++;
+  }
+  yield `</ul>\n${PAGE_END}`;
+}
+
+const renderIndex = (profile, counts) => `${pageStart('Your data')}
+<h1>${escapeHtml(profile.name)} (@${escapeHtml(profile.username)})</h1>
+<p>${escapeHtml(profile.bio)}</p>
+<ul>
+<li>Email: ${escapeHtml(profile.email)}</li>
+<li>Location: ${escapeHtml(profile.location)}</li>
+<li>Website: ${escapeHtml(profile.website)}</li>
+<li>Joined: ${formatDate(profile.createdAt)}</li>
+<li>Exported: ${formatDate(new Date())}</li>
+</ul>
+<h2>Contents</h2>
+<ul>
+<li><a href="profile.json">Profile</a> (JSON)</li>
+${[...SECTIONS, { name: 'media', title: 'Media' }].map(section =>
+    `<li><a href="${section.name}.html">${section.title}</a> (${counts[section.name]}) — <a href="${section.name}.json">JSON</a></li>`
+  ).join('\n')}
+</ul>
+${PAGE_END}`;
+
+const renderMediaPage = (media) => `${pageStart('Media')}${BACK_LINK}<h1>Media</h1>
+<ul>
+${media.map(item => `<li id="${item._id}">${item.file
+    ? `<a href="${item.file}">${escapeHtml(item.file)}</a>`
+    : 'File unavailable'} — ${item.kind}, ${formatDate(item.createdAt)}${item.altText
+    ? `: ${escapeHtml(item.altText)}`
+    : ''}</li>`).join('\n')}
+</ul>
+${PAGE_END}`;
+
+// Add an entry and wait until it has been written, so only one source
+// (a database cursor or a media file) is open at a time. Archiver doesn't
+// listen for errors on streams it reads, so those are caught here.
+const appendEntry = (archive, source, name) => new Promise((resolve, reject) => {
+  const isStream = source instanceof Readable;
+  const cleanUp = () => {
+    archive.off('entry', onEntry);
+    archive.off('error', onError);
+    if (isStream) source.off('error', onError);
+  };
+  const onEntry = () => {
+    cleanUp();
+    resolve();
+  };
+  const onError = (error) => {
+    cleanUp();
+    reject(error);
+  };
+  
+  archive.once('entry', onEntry);
+  archive.once('error', onError);
+  if (isStream) source.once('error', onError);
+  archive.append(source, { name });
+});
+
+// Write the archive for a user to `file`
+const writeArchive = async (userId, file) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const output = createWriteStream(file);
+  const closed = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  // Errors before finalizing surface through appendEntry instead
+  closed.catch(() => {});
+  archive.pipe(output);
+  
+  try {
+    const profile = await User.findById(userId).select(INTERNAL_USER_FIELDS).lean();
+    if (!profile) {
+      throw Object.assign(new Error('User not found'), { status: 404 });
+    }
+    
+    await appendEntry(archive, `${JSON.stringify(profile, null, 2)}\n`, 'profile.json');
+    
+    const counts = {};
+    for (const section of SECTIONS) {
+      const json = jsonArray(section.query(userId), section.json);
+      await appendEntry(archive, Readable.from(json), `${section.name}.json`);
+      const html = htmlList(section, section.query(userId), counts);
+      await appendEntry(archive, Readable.from(html), `${section.name}.html`);
+    }
+    
+    // Files that can't be read from their store are listed as missing
+    // rather than failing the whole export
+    const media = await Media.find({ owner: userId }).sort({ createdAt: 1 }).lean();
+    for (const item of media) {
+      let source;
+      try {
+        source = await openMedia(item);
+      } catch (error) {
+        console.error(`Failed to export media ${item._id}:`, error);
+        item.file = null;
+        continue;
+      }
+      
+      item.file = mediaPath(item);
+      await appendEntry(archive, source, item.file);
+    }
+    counts.media = media.length;
+    
+    await appendEntry(archive, `${JSON.stringify(media, null, 2)}\n`, 'media.json');
+    await appendEntry(archive, renderMediaPage(media), 'media.html');
+    await appendEntry(archive, renderIndex(profile, counts), 'index.html');
+    
+    await archive.finalize();
+  } catch (error) {
+    archive.abort();
+    output.destroy();
+    throw error;
+  }
+  
+  await closed;
+};
+
+// Queue an export for a user. Throws an error with a `status` if one is
+// already being built.
+const requestExport = async (userId) => {
+  try {
+    const job = await DataExport.create({ user: userId });
+    
+    // Start on it now rather than at the worker's next run
+    if (workerEnabled()) {
+      setImmediate(tick);
+    }
+    
+    return job;
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY) {
+      throw Object.assign(new Error('An export is already being prepared'), { status: 409 });
+    }
+    throw error;
+  }
+};
+
+// Atomically take the oldest pending export nobody holds a lease on
+const claimExport = (now = new Date()) => DataExport.findOneAndUpdate(
+  {
+    status: 'pending',
+    $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lte: now } }]
+  },
+  {
+    $set: { startedAt: now, leaseExpiresAt: new Date(now.getTime() + LEASE_MS) },
+    $inc: { attempts: 1 }
+  },
+  { new: true, sort: { createdAt: 1 } }
+);
+
+// Build a claimed export. The archive is written under a temporary name
+// and only renamed into place once complete.
+const buildExport = async (job) => {
+  await fs.mkdir(exportConfig.directory, { recursive: true });
+  
+  const file = `${job._id}-${crypto.randomBytes(8).toString('hex')}.zip`;
+  const target = path.join(exportConfig.directory, file);
+  const partial = `${target}.partial`;
+  
+  try {
+    await writeArchive(job.user, partial);
+    await fs.rename(partial, target);
+  } catch (error) {
+    await fs.rm(partial, { force: true });
+    
+    const giveUp = error.status || job.attempts >= MAX_ATTEMPTS;
+    await DataExport.updateOne(
+      { _id: job._id, status: 'pending' },
+      giveUp
+        ? { $set: { status: 'failed', error: error.message }, $unset: { leaseExpiresAt: 1 } }
+        : { $unset: { leaseExpiresAt: 1 } }
+    );
+    throw error;
+  }
+  
+  const { size } = await fs.stat(target);
+  const completedAt = new Date();
+  
+  await DataExport.updateOne(
+    { _id: job._id },
+    {
+      $set: {
+        status: 'ready',
+        file,
+        size,
+        completedAt,
+        expiresAt: new Date(completedAt.getTime() + exportConfig.expiryHours * 60 * 60 * 1000)
+      },
+      $unset: { leaseExpiresAt: 1, error: 1 }
+    }
+  );
+};
+
+// Path of a finished export's archive
+const archivePath = (job) => path.join(exportConfig.directory, job.file);
+
+// Delete archives past their expiry. Returns how many were deleted.
+const expireExports = async (now = new Date()) => {
+  const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: now } });
+  
+  for (const job of expired) {
+    await fs.rm(archivePath(job), { force: true });
+    await DataExport.updateOne(
+      { _id: job._id, status: 'ready' },
+      { $set: { status: 'expired' }, $unset: { file: 1 } }
+    );
+  }
+  
+  return expired.length;
+};
+
+// Build every pending export. Returns how many were built.
+const buildPending = async () => {
+  let built = 0;
+  
+  for (;;) {
+    const job = await claimExport();
+    
+    if (!job) {
+      return built;
+    }
+    
+    try {
+      await buildExport(job);
+      built++;
+    } catch (error) {
+      console.error(`Data export ${job._id} failed:`, error);
+    }
+  }
+};
+
+let timer = null;
+let running = false;
+
+const workerEnabled = () => process.env.DATA_EXPORT_ENABLED !== 'false';
+
+const tick = async () => {
+  // A slow run must not overlap the next one
+  if (running) return;
+  running = true;
+  
+  try {
+    await buildPending();
+    await expireExports();
+  } catch (error) {
+    console.error('Data export worker error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startExportWorker = () => {
+  if (timer || !workerEnabled()) {
+    return;
+  }
+  
+  timer = setInterval(tick, exportConfig.intervalSeconds * 1000);
+  timer.unref();
+};
+
+const stopExportWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  requestExport,
+  writeArchive,
+  buildPending,
+  expireExports,
+  archivePath,
+  startExportWorker,
+  stopExportWorker
+};
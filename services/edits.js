@@ -0,0 +1,99 @@
+const Tweet = require('../models/Tweet');
+const Comment = require('../models/Comment');
+const Revision = require('../models/Revision');
+const editing = require('../config/editing');
+const { notifyMentions } = require('./notifications');
+const { resolveEntities } = require('../utils/entities');
+
+const MODELS = { Tweet, Comment };
+
+const windowStart = (now) => new Date(now.getTime() - editing.windowMinutes * 60 * 1000);
+
+// Why a tweet or comment can no longer be edited, or null if it can
+const editBlockedReason = (doc, now = new Date()) => {
+  if (doc.hiddenAt) {
+    return 'Hidden posts cannot be edited';
+  }
+  if (doc.createdAt < windowStart(now)) {
+    return `Edits are only allowed within ${editing.windowMinutes} minutes of posting`;
+  }
+  if ((doc.editCount || 0) >= editing.maxEdits) {
+    return `Edits are limited to ${editing.maxEdits} per post`;
+  }
+  return null;
+};
+
+// Replace the content of a tweet or comment, keeping the version it
+// replaces as a revision. The window and edit limit are part of the update
+// itself, so racing edits cannot exceed them. Newly mentioned users are
+// notified. Returns the updated document, or null if it can no longer be
+// edited.
+const editContent = async (targetType, doc, content, now = new Date()) => {
+  const Model = MODELS[targetType];
+  const { entities, hashtags } = await resolveEntities(content);
+  
+  const previous = await Model.findOneAndUpdate(
+    {
+      _id: doc._id,
+      hiddenAt: null,
+      createdAt: { $gte: windowStart(now) },
+      editCount: { $not: { $gte: editing.maxEdits } }
+    },
+    {
+      $set: { content, entities, hashtags, isEdited: true, editedAt: now },
+      $inc: { editCount: 1 }
+    }
+  );
+  
+  if (!previous) {
+    return null;
+  }
+  
+  await Revision.create({
+    targetType,
+    target: previous._id,
+    content: previous.content,
+    entities: previous.entities,
+    publishedAt: previous.editedAt || previous.createdAt,
+    replacedAt: now
+  });
+  
+  // Users mentioned in an earlier version were already told
+  const mentioned = new Set(previous.entities.mentions.map(mention => mention.user.toString()));
+  await notifyMentions({
+    entities: { mentions: entities.mentions.filter(mention => !mentioned.has(mention.user.toString())) },
+    actor: previous.user,
+    tweet: targetType === 'Tweet' ? previous._id : previous.tweet,
+    comment: targetType === 'Comment' ? previous._id : undefined
+  });
+  
+  return Model.findById(previous._id);
+};
+
+// Every version of a tweet or comment, the current one first
+const revisionHistory = async (targetType, doc) => {
+  const revisions = await Revision.find({ targetType, target: doc._id })
+    .sort({ replacedAt: -1 })
+    .select('content entities publishedAt replacedAt');
+  
+  return [
+    {
+      content: doc.content,
+      entities: doc.entities,
+      publishedAt: doc.editedAt || doc.createdAt,
+      current: true
+    },
+    ...revisions.map(revision => ({ ...revision.toObject(), current: false }))
+  ];
+};
+
+// Drop the revisions of deleted tweets or comments
+const removeRevisions = (targetType, targetIds) =>
+  Revision.deleteMany({ targetType, target: { $in: targetIds } });
+
+module.exports = {
+  editBlockedReason,
+  editContent,
+  revisionHistory,
+  removeRevisions
+};
@@ -0,0 +1,70 @@
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+
+const DUPLICATE_KEY = 11000;
+
+// Create a follow edge and bump both users' counters. Returns false when
+// the follow already existed, in which case nothing is changed.
+const createFollow = async (followerId, followedId) => {
+  try {
+    await Follow.create({ follower: followerId, followed: followedId });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY) return false;
+    throw error;
+  }
+  
+  await User.updateOne({ _id: followerId }, { $inc: { followingCount: 1 } });
+  await User.updateOne({ _id: followedId }, { $inc: { followerCount: 1 } });
+  
+  return true;
+};
+
+// Remove a follow edge and lower both users' counters. Returns false when
+// there was no follow to remove.
+const deleteFollow = async (followerId, followedId) => {
+  const removed = await Follow.findOneAndDelete({ follower: followerId, followed: followedId });
+  
+  if (!removed) return false;
+  
+  await User.updateOne({ _id: followerId }, { $inc: { followingCount: -1 } });
+  await User.updateOne({ _id: followedId }, { $inc: { followerCount: -1 } });
+  
+  return true;
+};
+
+const isFollowing = async (followerId, followedId) =>
+  Boolean(await Follow.exists({ follower: followerId, followed: followedId }));
+
+// Ids of everyone a user follows
+const followingIdsOf = async (userId) => {
+  const follows = await Follow.find({ follower: userId }).select('followed').lean();
+  return follows.map(follow => follow.followed);
+};
+
+// Ids of everyone following a user
+const followerIdsOf = async (userId) => {
+  const follows = await Follow.find({ followed: userId }).select('follower').lean();
+  return follows.map(follow => follow.follower);
+};
+
+// Which of the given users a viewer follows, as a Set of id strings
+const followedIds = async (viewerId, userIds) => {
+  if (!viewerId || !userIds.length) {
+    return new Set();
+  }
+  
+  const follows = await Follow.find({ follower: viewerId, followed: { $in: userIds } })
+    .select('followed')
+    .lean();
+  
+  return new Set(follows.map(follow => follow.followed.toString()));
+};
+
+module.exports = {
+  createFollow,
+  deleteFollow,
+  isFollowing,
+  followingIdsOf,
+  followerIdsOf,
+  followedIds
+};
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const Tweet = require('../models/Tweet');
+const Like = require('../models/Like');
+const Follow = require('../models/Follow');
+const weights = require('../config/ranking');
+const { withVisibility } = require('./visibility');
+const { rankCandidates } = require('../utils/ranking');
+
+// Upper bound on tweets gathered from each candidate source
+const CANDIDATES_PER_SOURCE = 300;
+// Second-degree authors considered, most widely followed by the viewer's network first
+const NETWORK_AUTHOR_LIMIT = 200;
+// How far back the viewer's likes and retweets count towards author affinity
+const AFFINITY_DAYS = 30;
+
+const HOUR = 60 * 60 * 1000;
+
+// Only original tweets and quotes are ranked; replies and retweets would
+// show up out of context
+const originalsOnly = { parent: null, isRetweet: false };
+
+// Recent tweets by accounts the viewer follows. `window` is the createdAt
+// range candidates are gathered from.
+const followingCandidates = (visibility, window) =>
+  Tweet.find(withVisibility({
+    ...originalsOnly,
+    user: { $in: visibility.followingIds },
+    createdAt: window
+  }, visibility))
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATES_PER_SOURCE)
+    .lean();
+
+// Tweets retweeted by accounts the viewer follows, and recent tweets by
+// accounts those accounts follow. Returns the tweets and, for each tweet id,
+// how many followed accounts retweeted it.
+const networkCandidates = async (visibility, window) => {
+  const toObjectIds = ids => ids.map(id => new mongoose.Types.ObjectId(id));
+  
+  const [retweets, secondDegree] = await Promise.all([
+    Tweet.find({
+      user: { $in: visibility.followingIds },
+      isRetweet: true,
+      createdAt: window
+    }).select('parent').limit(CANDIDATES_PER_SOURCE).lean(),
+    // Accounts followed by the most of the viewer's follows come first
+    Follow.aggregate([
+      { $match: { follower: { $in: toObjectIds(visibility.followingIds) } } },
+      { $group: { _id: '$followed', count: { $sum: 1 } } },
+      {
+        $match: {
+          _id: { $nin: toObjectIds([visibility.viewerId, ...visibility.followingIds]) }
+        }
+      },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: NETWORK_AUTHOR_LIMIT }
+    ])
+  ]);
+  
+  const socialProof = new Map();
+  for (const retweet of retweets) {
+    const id = retweet.parent.toString();
+    socialProof.set(id, (socialProof.get(id) || 0) + 1);
+  }
+  
+  const authors = secondDegree.map(author => author._id);
+  
+  const tweets = await Tweet.find(withVisibility({
+    ...originalsOnly,
+    user: { $ne: visibility.viewerId },
+    $or: [
+      { _id: { $in: [...socialProof.keys()] } },
+      { user: { $in: authors }, createdAt: window }
+    ]
+  }, visibility))
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATES_PER_SOURCE)
+    .lean();
+  
+  return { tweets, socialProof };
+};
+
+// The most engaged-with recent tweets across the site. Engagement is
+// counted from the likes, retweets and replies made within the window
+// rather than the live counters, so later pages pick the same tweets.
+const trendingCandidates = async (visibility, window) => {
+  const top = await Like.aggregate([
+    { $match: { targetType: 'Tweet', createdAt: window } },
+    { $project: { tweet: '$target' } },
+    {
+      $unionWith: {
+        coll: Tweet.collection.name,
+        pipeline: [
+          { $match: { parent: { $ne: null }, createdAt: window } },
+          { $project: { tweet: '$parent' } }
+        ]
+      }
+    },
+    { $group: { _id: '$tweet', engagement: { $sum: 1 } } },
+    { $lookup: { from: Tweet.collection.name, localField: '_id', foreignField: '_id', as: 'original' } },
+    { $unwind: '$original' },
+    {
+      $match: {
+        'original.parent': null,
+        'original.isRetweet': false,
+        'original.createdAt': window
+      }
+    },
+    { $sort: { engagement: -1, _id: -1 } },
+    { $limit: CANDIDATES_PER_SOURCE },
+    { $project: { _id: 1 } }
+  ]);
+  
+  return Tweet.find(withVisibility({
+    _id: { $in: top.map(tweet => tweet._id) },
+    user: { $ne: visibility.viewerId }
+  }, visibility)).lean();
+};
+
+// How many times the viewer recently liked or retweeted each author
+const authorAffinity = async (viewerId, now) => {
+  const viewer = new mongoose.Types.ObjectId(viewerId);
+  const window = { $gte: new Date(now - AFFINITY_DAYS * 24 * HOUR), $lte: new Date(now) };
+  
+  const [likes, retweets] = await Promise.all([
+    Like.aggregate([
+      { $match: { user: viewer, targetType: 'Tweet', createdAt: window } },
+      { $group: { _id: '$author', count: { $sum: 1 } } }
+    ]),
+    Tweet.aggregate([
+      { $match: { user: viewer, isRetweet: true, createdAt: window } },
+      { $lookup: { from: 'tweets', localField: 'parent', foreignField: '_id', as: 'original' } },
+      { $unwind: '$original' },
+      { $group: { _id: '$original.user', count: { $sum: 1 } } }
+    ])
+  ]);
+  
+  const affinity = new Map();
+  for (const { _id, count } of [...likes, ...retweets]) {
+    if (_id && !_id.equals(viewer)) {
+      affinity.set(_id.toString(), (affinity.get(_id.toString()) || 0) + count);
+    }
+  }
+  
+  return affinity;
+};
+
+// Each tweet's likes, retweets and replies as they stood at `until`
+const countsAsOf = async (ids, until) => {
+  const [likes, responses] = await Promise.all([
+    Like.aggregate([
+      { $match: { targetType: 'Tweet', target: { $in: ids }, createdAt: { $lte: until } } },
+      { $group: { _id: '$target', count: { $sum: 1 } } }
+    ]),
+    Tweet.aggregate([
+      { $match: { parent: { $in: ids }, createdAt: { $lte: until } } },
+      { $group: { _id: { parent: '$parent', isRetweet: '$isRetweet' }, count: { $sum: 1 } } }
+    ])
+  ]);
+  
+  const counts = new Map(ids.map(id => [
+    id.toString(),
+    { likeCount: 0, retweetCount: 0, replyCount: 0 }
+  ]));
+  for (const { _id, count } of likes) {
+    counts.get(_id.toString()).likeCount = count;
+  }
+  for (const { _id, count } of responses) {
+    counts.get(_id.parent.toString())[_id.isRetweet ? 'retweetCount' : 'replyCount'] = count;
+  }
+  
+  return counts;
+};
+
+// Rank "For You" candidates for a viewer as of `now` (a timestamp). Only
+// tweets and engagement from before `now` are used, so every page of one
+// session is cut from the same ranking; likes taken back and tweets
+// deleted since are the only things that can still move it.
+const rankForYou = async (visibility, now) => {
+  const window = {
+    $gte: new Date(now - weights.windowHours * HOUR),
+    $lte: new Date(now)
+  };
+  
+  const [following, network, trending, affinity] = await Promise.all([
+    followingCandidates(visibility, window),
+    networkCandidates(visibility, window),
+    trendingCandidates(visibility, window),
+    authorAffinity(visibility.viewerId, now)
+  ]);
+  
+  // Merge the sources, remembering every way each tweet was found
+  const candidates = new Map();
+  const add = (tweets, source) => {
+    for (const tweet of tweets) {
+      const id = tweet._id.toString();
+      if (!candidates.has(id)) {
+        candidates.set(id, { tweet, sources: [], socialProof: network.socialProof.get(id) || 0 });
+      }
+      candidates.get(id).sources.push(source);
+    }
+  };
+  add(following, 'following');
+  add(network.tweets, 'network');
+  add(trending, 'trending');
+  
+  // Score on the counts as they were at `now`, not the live counters
+  const counts = await countsAsOf(
+    [...candidates.values()].map(candidate => candidate.tweet._id),
+    new Date(now)
+  );
+  for (const [id, candidate] of candidates) {
+    candidate.tweet = { ...candidate.tweet, ...counts.get(id) };
+  }
+  
+  return rankCandidates([...candidates.values()], { now, affinity }, weights);
+};
+
+module.exports = {
+  rankForYou
+};
@@ -0,0 +1,70 @@
+const Like = require('../models/Like');
+const Tweet = require('../models/Tweet');
+const Comment = require('../models/Comment');
+
+const MODELS = { Tweet, Comment };
+
+const DUPLICATE_KEY = 11000;
+
+// Like or unlike a tweet or comment. The unique index on Like lets only one
+// of several racing requests add (or remove) the edge, and the target's
+// likeCount only moves for the request that did. Returns whether anything
+// changed and the target with its current count.
+const setLiked = async (userId, targetType, target, liked) => {
+  const Model = MODELS[targetType];
+  let changed;
+  
+  if (liked) {
+    try {
+      await Like.create({
+        user: userId,
+        targetType,
+        target: target._id,
+        author: target.user._id || target.user
+      });
+      changed = true;
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+      changed = false;
+    }
+  } else {
+    changed = Boolean(await Like.findOneAndDelete({ user: userId, targetType, target: target._id }));
+  }
+  
+  const updated = changed
+    ? await Model.findByIdAndUpdate(target._id, { $inc: { likeCount: liked ? 1 : -1 } }, { new: true })
+    : await Model.findById(target._id);
+  
+  return { changed, target: updated };
+};
+
+// Flip whether a user likes a tweet or comment
+const toggleLike = async (userId, targetType, target) => {
+  const liked = !(await Like.exists({ user: userId, targetType, target: target._id }));
+  const result = await setLiked(userId, targetType, target, liked);
+  return { ...result, liked };
+};
+
+// Which of the given tweets or comments a user likes, as a Set of id strings
+const likedIds = async (userId, targetType, ids) => {
+  if (!userId || !ids.length) {
+    return new Set();
+  }
+  
+  const likes = await Like.find({ user: userId, targetType, target: { $in: ids } })
+    .select('target')
+    .lean();
+  
+  return new Set(likes.map(like => like.target.toString()));
+};
+
+// Remove the likes of deleted tweets or comments
+const removeLikes = (targetType, ids) =>
+  Like.deleteMany({ targetType, target: { $in: ids } });
+
+module.exports = {
+  setLiked,
+  toggleLike,
+  likedIds,
+  removeLikes
+};
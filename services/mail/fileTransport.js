@@ -0,0 +1,24 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes each message to a JSON file instead of sending it; meant for
+// local development
+class FileTransport {
+  constructor({ directory }) {
+    this.directory = directory;
+  }
+  
+  async send(message) {
+    await fs.mkdir(this.directory, { recursive: true });
+    
+    const file = path.join(
+      this.directory,
+      `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`
+    );
+    
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+    console.log(`Mail to ${message.to} written to ${file}`);
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,47 @@
+const path = require('path');
+const SmtpTransport = require('./smtpTransport');
+const FileTransport = require('./fileTransport');
+const MemoryTransport = require('./memoryTransport');
+
+// Mail transports implement send({ to, subject, text, html }) -> Promise.
+// MAIL_TRANSPORT selects one: "smtp", "file" (default) or "memory".
+const createTransport = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'smtp':
+      return new SmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from: process.env.MAIL_FROM || 'Chirp Social <no-reply@chirp.social>'
+      });
+    case 'memory':
+      return new MemoryTransport();
+    default:
+      return new FileTransport({
+        directory: process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'tmp', 'mail')
+      });
+  }
+};
+
+let transport;
+
+const getMailTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+const setMailTransport = (implementation) => {
+  transport = implementation;
+};
+
+const sendMail = (message) => getMailTransport().send(message);
+
+module.exports = {
+  getMailTransport,
+  setMailTransport,
+  sendMail
+};
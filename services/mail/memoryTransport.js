@@ -0,0 +1,16 @@
+// Keeps sent messages in memory; meant for tests
+class MemoryTransport {
+  constructor() {
+    this.sent = [];
+  }
+  
+  async send(message) {
+    this.sent.push({ ...message, sentAt: new Date() });
+  }
+  
+  clear() {
+    this.sent = [];
+  }
+}
+
+module.exports = MemoryTransport;
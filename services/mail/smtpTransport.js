@@ -0,0 +1,20 @@
+const nodemailer = require('nodemailer');
+
+// Delivers mail through an SMTP server
+class SmtpTransport {
+  constructor({ host, port, secure, user, pass, from }) {
+    this.from = from;
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+  
+  async send({ to, subject, text, html }) {
+    await this.transporter.sendMail({ from: this.from, to, subject, text, html });
+  }
+}
+
+module.exports = SmtpTransport;
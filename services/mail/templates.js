@@ -0,0 +1,42 @@
+const { escapeHtml } = require('../../utils/html');
+
+// Links in emails point at the client app, which calls the API with the token
+const appUrl = (pathname, token) =>
+  `${process.env.CLIENT_URL || 'http://localhost:3001'}${pathname}?token=${token}`;
+
+exports.passwordReset = (user, token) => {
+  const link = appUrl('/reset-password', token);
+  return {
+    to: user.email,
+    subject: 'Reset your Chirp Social password',
+    text: `Hi ${user.name},\n\nReset your password here: ${link}\n\nThe link expires in one hour. If you did not ask for a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p><a href="${link}">Reset your password</a>. The link expires in one hour.</p><p>If you did not ask for a reset, you can ignore this email.</p>`
+  };
+};
+
+exports.emailVerification = (user, email, token) => {
+  const link = appUrl('/verify-email', token);
+  return {
+    to: email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nConfirm this address for your Chirp Social account: ${link}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p><a href="${link}">Confirm this address</a> for your Chirp Social account.</p>`
+  };
+};
+
+exports.emailChange = (user, email, token) => {
+  const link = appUrl('/confirm-email-change', token);
+  return {
+    to: email,
+    subject: 'Confirm your new email address',
+    text: `Hi ${user.name},\n\nConfirm ${email} as the new address for your Chirp Social account: ${link}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p><a href="${link}">Confirm ${escapeHtml(email)}</a> as the new address for your Chirp Social account.</p>`
+  };
+};
+
+exports.emailChangeNotice = (user, newEmail) => ({
+  to: user.email,
+  subject: 'Your email address is being changed',
+  text: `Hi ${user.name},\n\nSomeone asked to change your Chirp Social email to ${newEmail}. If this was not you, reset your password now.`,
+  html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone asked to change your Chirp Social email to ${escapeHtml(newEmail)}. If this was not you, reset your password now.</p>`
+});
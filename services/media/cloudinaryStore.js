@@ -0,0 +1,66 @@
+const { Readable } = require('stream');
+const cloudinary = require('cloudinary').v2;
+
+// Keeps files on Cloudinary, which serves them from its CDN. Configured
+// with CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET.
+// Keys are "<resource type>/<public id>", as deleting needs both.
+class CloudinaryStore {
+  constructor({ folder = 'chirp-social' } = {}) {
+    this.name = 'cloudinary';
+    this.folder = folder;
+    
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET
+    });
+  }
+  
+  // Images larger than maxDimension on either side are scaled down
+  save(buffer, { folder, mimeType, maxDimension }) {
+    const isVideo = mimeType.startsWith('video/');
+    const options = {
+      folder: `${this.folder}/${folder}`,
+      resource_type: isVideo ? 'video' : 'image'
+    };
+    
+    if (maxDimension && !isVideo) {
+      options.transformation = [{ width: maxDimension, height: maxDimension, crop: 'limit' }];
+    }
+    
+    return new Promise((resolve, reject) => {
+      cloudinary.uploader.upload_stream(options, (error, result) => {
+        if (error) {
+          return reject(error);
+        }
+        resolve({
+          key: `${result.resource_type}/${result.public_id}`,
+          url: result.secure_url,
+          width: result.width,
+          height: result.height
+        });
+      }).end(buffer);
+    });
+  }
+  
+  async remove(key) {
+    const separator = key.indexOf('/');
+    
+    await cloudinary.uploader.destroy(key.slice(separator + 1), {
+      resource_type: key.slice(0, separator),
+      invalidate: true
+    });
+  }
+  
+  // Files are public on the CDN, so they are read back from their URL
+  async open(key, url) {
+    const response = await fetch(url);
+    
+    if (!response.ok) {
+      throw new Error(`Could not fetch ${key}: ${response.status}`);
+    }
+    return Readable.fromWeb(response.body);
+  }
+}
+
+module.exports = CloudinaryStore;
@@ -0,0 +1,207 @@
+const Media = require('../../models/Media');
+const CloudinaryStore = require('./cloudinaryStore');
+const LocalStore = require('./localStore');
+const mediaConfig = require('../../config/media');
+const {
+  sniffMimeType,
+  mediaKindOf,
+  extensionFor,
+  readDimensions
+} = require('../../utils/media');
+
+// Uploaded files live in a media store; Media documents record what each
+// file is and what it is attached to.
+//
+// Media stores implement:
+//   name                                  recorded on each Media document
+//   save(buffer, { folder, mimeType, extension, maxDimension })
+//     -> { key, url, width?, height? }    width/height if the store resized
+//   remove(key)
+//   open(key, url) -> readable stream     the stored file's contents
+//   serve() (optional)                    middleware serving files at /media
+//
+// MEDIA_STORAGE selects "cloudinary" or "local". It defaults to Cloudinary
+// when CLOUDINARY_CLOUD_NAME is set and to local disk otherwise. Files
+// stay in the store that saved them, so switching stores keeps old media
+// working.
+
+const KINDS = ['image', 'gif', 'video'];
+const KIND_NAMES = { image: 'Images', gif: 'GIFs', video: 'Videos' };
+
+const createStore = (name) => {
+  switch (name) {
+    case 'cloudinary':
+      return new CloudinaryStore();
+    case 'local':
+      return new LocalStore();
+    default:
+      throw new Error(`Unknown media store: ${name}`);
+  }
+};
+
+const stores = {};
+let defaultStoreName = null;
+
+// The store new uploads go to, or the store with a given name
+const getMediaStore = (name) => {
+  const storeName = name || defaultStoreName || process.env.MEDIA_STORAGE ||
+    (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+  
+  if (!stores[storeName]) {
+    stores[storeName] = createStore(storeName);
+  }
+  return stores[storeName];
+};
+
+// Send new uploads to another store
+const setMediaStore = (implementation) => {
+  stores[implementation.name] = implementation;
+  defaultStoreName = implementation.name;
+};
+
+// An error for media that cannot be used as requested. `status` is the
+// HTTP status the request should be answered with.
+const rejectMedia = (status, message) => Object.assign(new Error(message), { status });
+
+// Store a file uploaded through middleware/upload.js and record it.
+// `kinds` limits what may be uploaded and `maxDimension` asks stores that
+// can to scale images down. Throws an error with a `status` for files of
+// the wrong type or size.
+const createMedia = async (owner, file, {
+  folder,
+  kinds = KINDS,
+  altText = '',
+  usage = null,
+  maxDimension
+} = {}) => {
+  const mimeType = sniffMimeType(file.buffer);
+  const kind = mediaKindOf(mimeType);
+  
+  if (!kind || !kinds.includes(kind)) {
+    throw rejectMedia(415, `Unsupported file type; upload ${kinds.join(', ')} files`);
+  }
+  
+  if (file.size > mediaConfig.maxBytes[kind]) {
+    const limit = mediaConfig.maxBytes[kind] / (1024 * 1024);
+    throw rejectMedia(413, `${KIND_NAMES[kind]} cannot be larger than ${limit} MB`);
+  }
+  
+  const store = getMediaStore();
+  const dimensions = readDimensions(file.buffer, mimeType) || {};
+  const stored = await store.save(file.buffer, {
+    folder,
+    mimeType,
+    extension: extensionFor(mimeType),
+    maxDimension
+  });
+  
+  return Media.create({
+    owner: owner._id,
+    kind,
+    mimeType,
+    size: file.size,
+    width: stored.width || dimensions.width,
+    height: stored.height || dimensions.height,
+    altText,
+    provider: store.name,
+    key: stored.key,
+    url: stored.url,
+    usage
+  });
+};
+
+// Where a file is attached: e.g. { usage: 'tweet', tweet: id }. Unset
+// fields are null, which also matches documents without them.
+const attachment = (fields = {}) => ({ usage: null, tweet: null, draft: null, ...fields });
+
+// What one tweet may carry: up to maxImagesPerTweet images, or a single
+// video or GIF
+const isValidSet = (kinds) =>
+  kinds.every(kind => kind === 'image')
+    ? kinds.length <= mediaConfig.maxImagesPerTweet
+    : kinds.length === 1;
+
+// Move media owned by `ownerId` from `source` (by default unattached) to
+// `target`. Media already at the target count as moved, so a retried
+// publish can attach them again. Throws an error with a `status` unless
+// every id could be moved.
+const attachMedia = async (ownerId, ids, target, source = {}) => {
+  const uniqueIds = [...new Set(ids.map(String))];
+  
+  if (uniqueIds.length !== ids.length) {
+    throw rejectMedia(400, 'The same media cannot be attached twice');
+  }
+  
+  const filter = {
+    _id: { $in: uniqueIds },
+    owner: ownerId,
+    $or: [attachment(source), attachment(target)]
+  };
+  
+  const found = await Media.find(filter).select('kind');
+  
+  if (found.length !== uniqueIds.length) {
+    throw rejectMedia(400, 'Media not found or already in use');
+  }
+  
+  if (!isValidSet(found.map(media => media.kind))) {
+    throw rejectMedia(
+      400,
+      `Attach up to ${mediaConfig.maxImagesPerTweet} images, or a single video or GIF`
+    );
+  }
+  
+  // Another request may have taken some of them since they were read
+  const { matchedCount } = await Media.updateMany(filter, { $set: attachment(target) });
+  
+  if (matchedCount !== uniqueIds.length) {
+    await detachMedia(uniqueIds, target, source);
+    throw rejectMedia(409, 'Media not found or already in use');
+  }
+};
+
+// Undo attachMedia, e.g. when saving the tweet failed
+const detachMedia = (ids, target, source = {}) => Media.updateMany(
+  { _id: { $in: ids }, ...attachment(target) },
+  { $set: attachment(source) }
+);
+
+// Delete matching media and their files. A file that cannot be removed is
+// logged and its record deleted anyway.
+const deleteMedia = async (filter) => {
+  const media = await Media.find(filter).select('provider key');
+  
+  for (const item of media) {
+    try {
+      await getMediaStore(item.provider).remove(item.key);
+    } catch (error) {
+      console.error(`Failed to remove media file ${item.provider}:${item.key}:`, error);
+    }
+  }
+  
+  await Media.deleteMany({ _id: { $in: media.map(item => item._id) } });
+  
+  return media.length;
+};
+
+// Read a stored file back from whichever store holds it
+const openMedia = (media) => getMediaStore(media.provider).open(media.key, media.url);
+
+// Delete uploads that were never attached to anything
+const purgeOrphanedMedia = (now = new Date()) => deleteMedia({
+  usage: null,
+  createdAt: { $lt: new Date(now.getTime() - mediaConfig.orphanHours * 60 * 60 * 1000) }
+});
+
+module.exports = {
+  CloudinaryStore,
+  LocalStore,
+  getMediaStore,
+  setMediaStore,
+  createMedia,
+  attachMedia,
+  detachMedia,
+  deleteMedia,
+  openMedia,
+  purgeOrphanedMedia
+};
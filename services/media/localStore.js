@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+// Keeps files on this machine's disk and has the app serve them, so the API
+// runs without any external service. MEDIA_DIR sets the directory (default
+// uploads/ in the project) and MEDIA_PUBLIC_URL the URL files are served
+// under (default /media). Instances behind a load balancer need a shared
+// directory.
+class LocalStore {
+  constructor({
+    directory = process.env.MEDIA_DIR || path.join(__dirname, '..', '..', 'uploads'),
+    publicUrl = process.env.MEDIA_PUBLIC_URL || '/media'
+  } = {}) {
+    this.name = 'local';
+    this.directory = path.resolve(directory);
+    this.publicUrl = publicUrl.replace(/\/$/, '');
+  }
+  
+  async save(buffer, { folder, extension }) {
+    const key = `${folder}/${crypto.randomBytes(16).toString('hex')}.${extension}`;
+    const file = path.join(this.directory, key);
+    
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    
+    return { key, url: `${this.publicUrl}/${key}` };
+  }
+  
+  async remove(key) {
+    try {
+      await fs.unlink(path.join(this.directory, key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  
+  // Opening up front makes a missing file fail here, not mid-stream
+  async open(key) {
+    const handle = await fs.open(path.join(this.directory, key));
+    return handle.createReadStream();
+  }
+  
+  // Middleware serving the stored files. File names are random, so they
+  // can be cached for good.
+  serve() {
+    return express.static(this.directory, {
+      index: false,
+      dotfiles: 'deny',
+      immutable: true,
+      maxAge: '365d',
+      setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff')
+    });
+  }
+}
+
+module.exports = LocalStore;
@@ -0,0 +1,177 @@
+const Tweet = require('../models/Tweet');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const ModerationLog = require('../models/ModerationLog');
+const { revokeAllSessions } = require('./sessions');
+
+const MODELS = { Tweet, Comment, User };
+
+const STAFF_ROLES = ['moderator', 'admin'];
+
+// An error for an action a moderator cannot take. `status` is the HTTP
+// status the request should be answered with.
+const rejectAction = (status, message) => Object.assign(new Error(message), { status });
+
+// Load a reported tweet, comment or user along with the account it belongs
+// to. Returns null when either no longer exists.
+const findTarget = async (targetType, id) => {
+  const target = await MODELS[targetType].findById(id);
+  
+  if (!target) {
+    return null;
+  }
+  
+  const owner = targetType === 'User'
+    ? target
+    : await User.findById(target.user).select('role');
+  
+  return owner && { target, owner };
+};
+
+// Staff accounts can only be acted on by admins, and nobody can act on
+// their own account
+const checkCanActOn = (moderator, owner) => {
+  if (owner._id.equals(moderator._id)) {
+    throw rejectAction(403, 'You cannot moderate your own account');
+  }
+  
+  if (STAFF_ROLES.includes(owner.role) && moderator.role !== 'admin') {
+    throw rejectAction(403, 'Only admins can moderate staff accounts');
+  }
+};
+
+const logAction = (moderator, action, fields) =>
+  ModerationLog.create({ moderator: moderator._id, action, ...fields });
+
+// Hide a tweet or comment from everyone
+const hideContent = async (targetType, id, now = new Date()) => {
+  await MODELS[targetType].updateOne({ _id: id, hiddenAt: null }, { $set: { hiddenAt: now } });
+};
+
+// Stop a user signing in until `until` and end their current sessions
+const suspendUser = async (userId, until) => {
+  await User.updateOne({ _id: userId }, { $set: { suspendedUntil: until } });
+  await revokeAllSessions(userId);
+};
+
+// Ban a user for good, ending their sessions and hiding everything they
+// posted. Their content is stamped with the ban time so that reinstating
+// them restores it without touching content hidden on its own.
+const banUser = async (userId, now = new Date()) => {
+  const banned = await User.findOneAndUpdate(
+    { _id: userId, bannedAt: null },
+    { $set: { bannedAt: now } }
+  );
+  
+  if (banned) {
+    await Promise.all([
+      Tweet.updateMany({ user: userId, hiddenAt: null }, { $set: { hiddenAt: now } }),
+      Comment.updateMany({ user: userId, hiddenAt: null }, { $set: { hiddenAt: now } })
+    ]);
+  }
+  
+  await revokeAllSessions(userId);
+};
+
+// Lift a suspension or ban. Returns false if the user had neither.
+const reinstateUser = async (userId) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, $or: [{ suspendedUntil: { $ne: null } }, { bannedAt: { $ne: null } }] },
+    { $unset: { suspendedUntil: 1, bannedAt: 1 } }
+  );
+  
+  if (!user) {
+    return false;
+  }
+  
+  if (user.bannedAt) {
+    await Promise.all([
+      Tweet.updateMany({ user: userId, hiddenAt: user.bannedAt }, { $unset: { hiddenAt: 1 } }),
+      Comment.updateMany({ user: userId, hiddenAt: user.bannedAt }, { $unset: { hiddenAt: 1 } })
+    ]);
+  }
+  
+  return true;
+};
+
+// What a resolved report records about how it was resolved
+const resolution = (moderator, action, now) => ({
+  status: action === 'dismiss' ? 'dismissed' : 'actioned',
+  action,
+  resolvedBy: moderator._id,
+  resolvedAt: now
+});
+
+// Close every open report on a target, so the same content doesn't stay
+// in the queue once a moderator has dealt with it
+const closeReports = (targetType, target, moderator, action, now = new Date()) =>
+  Report.updateMany(
+    { targetType, target, status: 'open' },
+    { $set: resolution(moderator, action, now) }
+  );
+
+// Act on an open report: hide the reported content, suspend or ban the
+// account behind it, or dismiss it. Closes the other open reports on the
+// same target and records the action in the moderation log. Throws an
+// error with a `status` when the action isn't allowed.
+const actOnReport = async (moderator, report, { action, durationHours, note = '' }) => {
+  if (report.status !== 'open') {
+    throw rejectAction(409, 'This report has already been resolved');
+  }
+  
+  const found = await findTarget(report.targetType, report.target);
+  
+  if (action !== 'dismiss') {
+    if (!found) {
+      throw rejectAction(404, 'The reported content no longer exists');
+    }
+    checkCanActOn(moderator, found.owner);
+  }
+  
+  if (action === 'hide_content' && report.targetType === 'User') {
+    throw rejectAction(400, 'Only tweets and comments can be hidden');
+  }
+  
+  const now = new Date();
+  
+  // Resolving the report claims it, so when two moderators act at once
+  // only the first one's action is applied
+  const claimed = await Report.findOneAndUpdate(
+    { _id: report._id, status: 'open' },
+    { $set: resolution(moderator, action, now) }
+  );
+  
+  if (!claimed) {
+    throw rejectAction(409, 'This report has already been resolved');
+  }
+  
+  const entry = {
+    targetType: report.targetType,
+    target: report.target,
+    targetUser: report.targetUser,
+    report: report._id,
+    note
+  };
+  
+  if (action === 'hide_content') {
+    await hideContent(report.targetType, report.target, now);
+  } else if (action === 'suspend') {
+    entry.suspendedUntil = new Date(now.getTime() + durationHours * 60 * 60 * 1000);
+    await suspendUser(found.owner._id, entry.suspendedUntil);
+  } else if (action === 'ban') {
+    await banUser(found.owner._id, now);
+  }
+  
+  await closeReports(report.targetType, report.target, moderator, action, now);
+  
+  return logAction(moderator, action, entry);
+};
+
+module.exports = {
+  findTarget,
+  checkCanActOn,
+  logAction,
+  actOnReport,
+  reinstateUser
+};
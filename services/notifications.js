@@ -0,0 +1,96 @@
+const Notification = require('../models/Notification');
+const { publishNotification } = require('./realtime');
+const { isSilencedBy } = require('./visibility');
+
+// Notification types that are folded into a single unread notification
+const GROUPED_TYPES = ['like', 'comment_like', 'retweet', 'follow'];
+
+const groupKeyFor = ({ type, tweet, comment }) =>
+  `${type}:${comment || tweet || ''}`;
+
+// Fold an event into the recipient's unread notification for its group
+const addToGroup = async ({ recipient, actor, type, tweet, comment }) => {
+  const groupKey = groupKeyFor({ type, tweet, comment });
+  
+  try {
+    await Notification.updateOne(
+      { recipient, groupKey, read: false, actors: { $ne: actor } },
+      {
+        $push: { actors: { $each: [actor], $position: 0 } },
+        $inc: { actorCount: 1 },
+        $set: { type, tweet, comment }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // The actor is already part of the unread group; the upsert's
+    // duplicate key error is the expected outcome
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+// Record that `actor` did something `recipient` should hear about.
+// Failures are logged rather than thrown so that a notification problem
+// never fails the action that triggered it.
+exports.notify = async ({ recipient, actor, type, tweet, comment }) => {
+  try {
+    // Nobody needs to be told about their own actions
+    if (recipient.toString() === actor.toString()) {
+      return;
+    }
+    
+    // Blocked and muted users don't reach the recipient
+    if (await isSilencedBy(recipient, actor)) {
+      return;
+    }
+    
+    if (!GROUPED_TYPES.includes(type)) {
+      await Notification.create({
+        recipient,
+        type,
+        actors: [actor],
+        actorCount: 1,
+        tweet,
+        comment
+      });
+    } else {
+      await addToGroup({ recipient, actor, type, tweet, comment });
+    }
+    
+    const unreadCount = await Notification.countDocuments({ recipient, read: false });
+    await publishNotification(recipient, unreadCount);
+  } catch (error) {
+    console.error('Failed to create notification:', error);
+  }
+};
+
+// Undo a notification when its action is toggled off (unlike, unfollow...)
+exports.retract = async ({ recipient, actor, type, tweet, comment }) => {
+  try {
+    const filter = GROUPED_TYPES.includes(type)
+      ? { recipient, groupKey: groupKeyFor({ type, tweet, comment }), actors: actor }
+      : { recipient, type, tweet, comment, actors: actor };
+    
+    // Taking an actor back must not move the group up the list
+    await Notification.updateMany(filter, {
+      $pull: { actors: actor },
+      $inc: { actorCount: -1 }
+    }, { timestamps: false });
+    
+    // Drop notifications that no longer have anyone behind them
+    await Notification.deleteMany({ recipient, type, actorCount: { $lte: 0 } });
+  } catch (error) {
+    console.error('Failed to retract notification:', error);
+  }
+};
+
+// Tell every user mentioned in a new tweet or comment
+exports.notifyMentions = async ({ entities, actor, tweet, comment }) => {
+  const recipients = [...new Set(entities.mentions.map(mention => mention.user.toString()))];
+  
+  await Promise.all(recipients.map(recipient =>
+    exports.notify({ recipient, actor, type: 'mention', tweet, comment })
+  ));
+};
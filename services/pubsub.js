@@ -0,0 +1,86 @@
+const { EventEmitter } = require('events');
+
+// Publish/subscribe transport used for real-time events.
+//
+// Every implementation exposes:
+//   publish(channel, payload)  -> Promise, payload must be JSON-serialisable
+//   subscribe(channel, handler) -> Promise resolving to an unsubscribe function
+//
+// The in-process implementation only reaches subscribers within the same
+// server process. When running several instances, install a shared
+// transport such as RedisPubSub with setPubSub() at startup.
+
+class InProcessPubSub {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open stream per channel
+    this.emitter.setMaxListeners(0);
+  }
+  
+  async publish(channel, payload) {
+    // Round-trip through JSON so subscribers see what a remote transport
+    // would deliver, never a shared mutable object
+    this.emitter.emit(channel, JSON.parse(JSON.stringify(payload)));
+  }
+  
+  async subscribe(channel, handler) {
+    this.emitter.on(channel, handler);
+    return async () => {
+      this.emitter.off(channel, handler);
+    };
+  }
+}
+
+// Redis-backed transport. Takes two connected node-redis (v4) clients,
+// since a client in subscriber mode cannot publish.
+class RedisPubSub {
+  constructor({ publisher, subscriber }) {
+    this.publisher = publisher;
+    this.subscriber = subscriber;
+    this.local = new InProcessPubSub();
+    // Number of local handlers per channel, to subscribe to Redis only once
+    this.counts = new Map();
+  }
+  
+  async publish(channel, payload) {
+    await this.publisher.publish(channel, JSON.stringify(payload));
+  }
+  
+  async subscribe(channel, handler) {
+    const unsubscribeLocal = await this.local.subscribe(channel, handler);
+    const count = this.counts.get(channel) || 0;
+    this.counts.set(channel, count + 1);
+    
+    if (count === 0) {
+      await this.subscriber.subscribe(channel, message => {
+        this.local.publish(channel, JSON.parse(message));
+      });
+    }
+    
+    return async () => {
+      await unsubscribeLocal();
+      const remaining = this.counts.get(channel) - 1;
+      if (remaining > 0) {
+        this.counts.set(channel, remaining);
+      } else {
+        this.counts.delete(channel);
+        await this.subscriber.unsubscribe(channel);
+      }
+    };
+  }
+}
+
+let pubsub = new InProcessPubSub();
+
+const getPubSub = () => pubsub;
+
+const setPubSub = (implementation) => {
+  pubsub = implementation;
+};
+
+module.exports = {
+  InProcessPubSub,
+  RedisPubSub,
+  getPubSub,
+  setPubSub
+};
@@ -0,0 +1,38 @@
+const MemoryStore = require('./memoryStore');
+const MongoStore = require('./mongoStore');
+const RedisStore = require('./redisStore');
+
+// Rate limit stores implement:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>
+//   reset(key)               -> Promise
+// RATE_LIMIT_STORE selects "memory" (default) or "mongo". RedisStore needs
+// a client, so install it with setRateLimitStore() at startup.
+const createStore = () => {
+  switch (process.env.RATE_LIMIT_STORE) {
+    case 'mongo':
+      return new MongoStore();
+    default:
+      return new MemoryStore();
+  }
+};
+
+let store;
+
+const getRateLimitStore = () => {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+};
+
+const setRateLimitStore = (implementation) => {
+  store = implementation;
+};
+
+module.exports = {
+  MemoryStore,
+  MongoStore,
+  RedisStore,
+  getRateLimitStore,
+  setRateLimitStore
+};
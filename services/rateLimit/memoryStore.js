@@ -0,0 +1,35 @@
+// Keeps counters in this process. Fine for a single instance; with several
+// instances each one counts separately, so use a shared store instead.
+class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+  }
+  
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.windows.get(key);
+    
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, entry);
+      
+      // Drop the counter once its window has passed
+      const timer = setTimeout(() => {
+        if (this.windows.get(key) === entry) {
+          this.windows.delete(key);
+        }
+      }, windowMs);
+      timer.unref();
+    }
+    
+    entry.count += 1;
+    
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+  
+  async reset(key) {
+    this.windows.delete(key);
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,39 @@
+const RateLimit = require('../../models/RateLimit');
+
+const DUPLICATE_KEY = 11000;
+
+// Shares counters between instances through MongoDB. Each window is its own
+// document, so the first request of a window creates it with an upsert and
+// concurrent requests can never reset each other's counts.
+class MongoStore {
+  async increment(key, windowMs) {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = new Date(windowStart + windowMs);
+    
+    const bump = () => RateLimit.findOneAndUpdate(
+      { bucket: key, windowStart: new Date(windowStart) },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+      { upsert: true, new: true }
+    );
+    
+    let counter;
+    try {
+      counter = await bump();
+    } catch (error) {
+      // Another request created the window's document first; this time the
+      // update finds it
+      if (error.code !== DUPLICATE_KEY) {
+        throw error;
+      }
+      counter = await bump();
+    }
+    
+    return { count: counter.count, resetAt };
+  }
+  
+  async reset(key) {
+    await RateLimit.deleteMany({ bucket: key });
+  }
+}
+
+module.exports = MongoStore;
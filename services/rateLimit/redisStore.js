@@ -0,0 +1,28 @@
+// Shares counters between instances through Redis. Takes a connected
+// node-redis (v4) client.
+class RedisStore {
+  constructor({ client, prefix = 'rl:' }) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+  
+  async increment(key, windowMs) {
+    const redisKey = this.prefix + key;
+    
+    // The expiry is only set by the request that starts the window
+    const [count, , ttl] = await this.client
+      .multi()
+      .incr(redisKey)
+      .pExpire(redisKey, windowMs, 'NX')
+      .pTTL(redisKey)
+      .exec();
+    
+    return { count, resetAt: new Date(Date.now() + Math.max(ttl, 0)) };
+  }
+  
+  async reset(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,91 @@
+const { getPubSub } = require('./pubsub');
+const { pollView } = require('../utils/polls');
+
+// Channel naming shared by publishers and the stream endpoint
+const channels = {
+  // New tweets written by a user
+  userTweets: (userId) => `tweets:${userId}`,
+  // Like/retweet/reply/comment count changes and edits of a tweet
+  tweet: (tweetId) => `tweet:${tweetId}`,
+  // Events addressed to a single user (notifications, follow changes)
+  user: (userId) => `user:${userId}`,
+  // Control messages for one open stream, whichever instance holds it
+  stream: (streamId) => `stream:${streamId}`
+};
+
+// Publishing is best-effort: a real-time hiccup must never fail the request
+const publish = async (channel, event) => {
+  try {
+    await getPubSub().publish(channel, event);
+  } catch (error) {
+    console.error('Failed to publish event:', error);
+  }
+};
+
+// Events go to many viewers at once, so polls in them (including in
+// retweeted and quoted tweets) show results only once closed
+const withHiddenPollResults = (tweet) => {
+  const object = typeof tweet.toObject === 'function' ? tweet.toObject() : { ...tweet };
+  
+  for (const embedded of [object, object.parent, object.quotedTweet]) {
+    if (embedded && embedded.poll) {
+      embedded.poll = pollView(embedded.poll);
+    }
+  }
+  
+  return object;
+};
+
+// Announce a new (populated) tweet to its author's followers. Each stream
+// drops or trims it for its viewer (see routes/stream.js).
+const publishTweet = (tweet) =>
+  publish(channels.userTweets(tweet.user._id || tweet.user), {
+    type: 'tweet',
+    tweet: withHiddenPollResults(tweet)
+  });
+
+// Announce the current engagement counts of a tweet
+const publishTweetCounts = (tweet) =>
+  publish(channels.tweet(tweet._id), {
+    type: 'tweet_counts',
+    tweetId: tweet._id,
+    likes: tweet.likeCount,
+    retweets: tweet.retweetCount,
+    comments: tweet.comments.length,
+    replies: tweet.replyCount
+  });
+
+// Announce the new content of an edited tweet
+const publishTweetEdit = (tweet) =>
+  publish(channels.tweet(tweet._id), {
+    type: 'tweet_edited',
+    tweetId: tweet._id,
+    content: tweet.content,
+    entities: tweet.entities,
+    editedAt: tweet.editedAt
+  });
+
+// Tell a user about a new notification and their unread total
+const publishNotification = (recipientId, unreadCount) =>
+  publish(channels.user(recipientId), {
+    type: 'notification',
+    unreadCount
+  });
+
+// Tell a user's open streams that they followed or unfollowed someone
+const publishFollowChange = (userId, targetId, following) =>
+  publish(channels.user(userId), {
+    type: 'follow_change',
+    userId: targetId,
+    following
+  });
+
+module.exports = {
+  channels,
+  publish,
+  publishTweet,
+  publishTweetCounts,
+  publishTweetEdit,
+  publishNotification,
+  publishFollowChange
+};
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const Draft = require('../models/Draft');
+const Tweet = require('../models/Tweet');
+const User = require('../models/User');
+const { createTweet } = require('./tweets');
+const { populateTweet } = require('../utils/populate');
+
+// Publishes scheduled tweets once they fall due. Every instance of the app
+// runs a scheduler; claiming a draft is a single atomic update, so only one
+// of them publishes it. A claim is a lease: if the instance dies before it
+// finishes, another picks the draft up once the lease runs out. The tweet's
+// _id is fixed at the first claim, so a retry after a crash that happened
+// after the tweet was saved finds it instead of posting it again.
+//
+// SCHEDULER_INTERVAL_SECONDS sets how often due drafts are looked for;
+// SCHEDULER_ENABLED=false turns the scheduler off for this instance.
+
+const INTERVAL_MS = (parseInt(process.env.SCHEDULER_INTERVAL_SECONDS, 10) || 15) * 1000;
+// How long a claim lasts before the draft is considered abandoned
+const LEASE_MS = 60 * 1000;
+// Publishing attempts before a draft failing for unexpected reasons is
+// given up on
+const MAX_ATTEMPTS = 5;
+
+const DUPLICATE_KEY = 11000;
+
+// Statuses an author may still edit, cancel or publish immediately
+const EDITABLE_STATUSES = ['draft', 'scheduled', 'failed'];
+
+// Atomically move the first draft matching `filter` to publishing. Drafts
+// claimed for the first time get the id their tweet will be saved under.
+const claimDraft = (filter, now = new Date()) => Draft.findOneAndUpdate(
+  filter,
+  [{
+    $set: {
+      status: 'publishing',
+      leaseExpiresAt: new Date(now.getTime() + LEASE_MS),
+      attempts: { $add: [{ $ifNull: ['$attempts', 0] }, 1] },
+      tweet: { $ifNull: ['$tweet', new mongoose.Types.ObjectId()] }
+    }
+  }],
+  { new: true, sort: { scheduledAt: 1 } }
+);
+
+// Drafts that are due, and publishes abandoned by a crashed instance
+const dueFilter = (now) => ({
+  $or: [
+    { status: 'scheduled', scheduledAt: { $lte: now } },
+    { status: 'publishing', leaseExpiresAt: { $lte: now } }
+  ]
+});
+
+const markFailed = (draft, message) => Draft.updateOne(
+  { _id: draft._id, status: 'publishing' },
+  { $set: { status: 'failed', error: message }, $unset: { leaseExpiresAt: 1 } }
+);
+
+// Publish a claimed draft through the same path as POST /api/tweets and
+// return the tweet. Throws when it cannot be published; errors with a
+// `status` are permanent and mark the draft failed, anything else is
+// retried when the lease runs out.
+const publishDraft = async (draft) => {
+  let tweet;
+  
+  try {
+    const author = await User.findById(draft.user).select('isPrivate suspendedUntil bannedAt');
+    
+    if (!author) {
+      throw Object.assign(new Error('Author not found'), { status: 404 });
+    }
+    
+    const restriction = author.restriction();
+    if (restriction) {
+      throw Object.assign(new Error(restriction.message), { status: 403 });
+    }
+    
+    tweet = await createTweet(author, {
+      content: draft.content,
+      replyTo: draft.replyTo,
+      media: draft.media,
+      mediaSource: { usage: 'draft', draft: draft._id },
+      id: draft.tweet
+    });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY) {
+      // An earlier attempt saved the tweet before its instance went away
+      tweet = await populateTweet(Tweet.findById(draft.tweet));
+    } else if (error.status) {
+      await markFailed(draft, error.message);
+      throw error;
+    } else {
+      if (draft.attempts >= MAX_ATTEMPTS) {
+        await markFailed(draft, 'The tweet could not be published');
+      }
+      throw error;
+    }
+  }
+  
+  await Draft.updateOne(
+    { _id: draft._id },
+    {
+      $set: { status: 'published', publishedAt: new Date() },
+      $unset: { leaseExpiresAt: 1, error: 1 }
+    }
+  );
+  
+  return tweet;
+};
+
+// Publish every draft that is due. Returns how many were published.
+const publishDue = async (now = new Date()) => {
+  let published = 0;
+  
+  for (;;) {
+    const draft = await claimDraft(dueFilter(now), now);
+    
+    if (!draft) {
+      return published;
+    }
+    
+    try {
+      await publishDraft(draft);
+      published++;
+    } catch (error) {
+      // Drafts that cannot be published were marked failed for their author
+      if (!error.status) {
+        console.error(error);
+      }
+    }
+  }
+};
+
+let timer = null;
+let running = false;
+
+const tick = async () => {
+  // A slow run must not overlap the next one
+  if (running) return;
+  running = true;
+  
+  try {
+    await publishDue();
+  } catch (error) {
+    console.error('Scheduler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startScheduler = () => {
+  if (timer || process.env.SCHEDULER_ENABLED === 'false') {
+    return;
+  }
+  
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+};
+
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  EDITABLE_STATUSES,
+  claimDraft,
+  publishDraft,
+  publishDue,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { publish, channels } = require('./realtime');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashSecret = (secret) =>
+  crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived JWT tied to a session so that revoking the session revokes it
+const generateAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const buildTokens = (session, secret) => ({
+  token: generateAccessToken(session.user, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  refreshTokenExpiresAt: session.expiresAt
+});
+
+// Start a session for a user who just authenticated
+const createSession = async (userId, req) => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  
+  const session = await Session.create({
+    user: userId,
+    tokenHash: hashSecret(secret),
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip || '',
+    expiresAt: refreshExpiry()
+  });
+  
+  return buildTokens(session, secret);
+};
+
+// Revoke a session and tell any open streams using it
+const revokeSession = async (session, reason) => {
+  await Session.updateOne(
+    { _id: session._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  
+  await publish(channels.user(session.user), {
+    type: 'session_revoked',
+    sessionId: session._id.toString()
+  });
+};
+
+// Revoke every session of a user, e.g. after their password changes or
+// their account is suspended
+const revokeAllSessions = async (userId) => {
+  const sessions = await Session.find({ user: userId, revokedAt: null });
+  await Promise.all(sessions.map(session => revokeSession(session, 'revoked')));
+};
+
+// Exchange a refresh token for a new token pair. Returns null when the
+// token is unknown, expired or revoked. Presenting a token that has already
+// been rotated means it leaked (or a client is misbehaving), so the whole
+// session is revoked.
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  
+  if (!secret || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    return null;
+  }
+  
+  const session = await Session.findById(sessionId);
+  
+  if (!session || !session.isActive()) {
+    return null;
+  }
+  
+  const presentedHash = hashSecret(secret);
+  const newSecret = crypto.randomBytes(32).toString('base64url');
+  
+  // Only the holder of the current token wins the rotation
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashSecret(newSecret),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        userAgent: req.get('user-agent') || session.userAgent,
+        ip: req.ip || session.ip
+      }
+    },
+    { new: true }
+  );
+  
+  if (!rotated) {
+    await revokeSession(session, 'reuse_detected');
+    return null;
+  }
+  
+  return buildTokens(rotated, newSecret);
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+};
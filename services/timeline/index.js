@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const Tweet = require('../../models/Tweet');
+const User = require('../../models/User');
+const { followerIdsOf } = require('../follows');
+const MongoStore = require('./mongoStore');
+const MemoryStore = require('./memoryStore');
+const { withVisibility, filterEmbedded } = require('../visibility');
+const { populateTweet } = require('../../utils/populate');
+const { encodeCursor } = require('../../utils/pagination');
+
+// Home timelines are written when tweets are posted (fan-out on write), so
+// reading one is a single indexed range scan instead of a query over every
+// followed account. Tweets by accounts with more than TIMELINE_FANOUT_LIMIT
+// followers are not copied; they are marked pullOnRead and merged in when
+// timelines are read.
+//
+// Entries expire TIMELINE_RETENTION_DAYS (default 30) after their tweet was
+// posted, which keeps every timeline to its owner's recent tweets. Pages
+// older than that are read from the followed accounts' tweets directly.
+//
+// Timeline stores implement:
+//   add(ownerIds, entries)          entries are { tweet, author, createdAt, expiresAt }
+//   removeAuthor(ownerId, authorId)
+//   removeTweets(tweetIds)
+//   range(ownerId, { bound, direction, limit }) -> [{ tweet, createdAt }]
+// where range walks from the (createdAt, tweet) bound, exclusive, towards
+// older entries (direction -1) or newer ones (direction 1).
+//
+// TIMELINE_STORE selects "mongo" (default) or "memory".
+
+const FANOUT_LIMIT = parseInt(process.env.TIMELINE_FANOUT_LIMIT, 10) || 10000;
+const RETENTION_MS = (parseInt(process.env.TIMELINE_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+// Tweets copied into a timeline when its owner follows someone
+const BACKFILL_LIMIT = 100;
+
+const createStore = () => {
+  switch (process.env.TIMELINE_STORE) {
+    case 'memory':
+      return new MemoryStore();
+    default:
+      return new MongoStore();
+  }
+};
+
+let store;
+
+const getTimelineStore = () => {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+};
+
+const setTimelineStore = (implementation) => {
+  store = implementation;
+};
+
+const toEntry = (tweet) => ({
+  tweet: tweet._id,
+  author: tweet.user._id || tweet.user,
+  createdAt: tweet.createdAt,
+  expiresAt: new Date(new Date(tweet.createdAt).getTime() + RETENTION_MS)
+});
+
+// Write tweets into timelines, leaving out any already past retention
+const addEntries = async (ownerIds, tweets) => {
+  const now = new Date();
+  const entries = tweets.map(toEntry).filter(entry => entry.expiresAt > now);
+  
+  if (entries.length) {
+    await getTimelineStore().add(ownerIds, entries);
+  }
+};
+
+// Write tweets by one author into the author's and their followers' timelines
+const fanOutTweets = async (authorId, tweets) => {
+  const author = await User.findById(authorId).select('followerCount');
+  
+  if (!author || !tweets.length) return;
+  
+  if (author.followerCount > FANOUT_LIMIT) {
+    await Tweet.updateMany(
+      { _id: { $in: tweets.map(tweet => tweet._id) } },
+      { $set: { pullOnRead: true } },
+      { timestamps: false }
+    );
+    await addEntries([authorId], tweets);
+    return;
+  }
+  
+  await addEntries([authorId, ...await followerIdsOf(authorId)], tweets);
+};
+
+// Write a new tweet into its author's and followers' timelines
+const fanOutTweet = (tweet) => fanOutTweets(tweet.user._id || tweet.user, [tweet]);
+
+// Copy an author's recent tweets into a timeline, e.g. after a follow
+const backfillAuthor = async (ownerId, authorId) => {
+  const tweets = await Tweet.find({ user: authorId, pullOnRead: { $ne: true } })
+    .sort({ createdAt: -1 })
+    .limit(BACKFILL_LIMIT)
+    .select('user createdAt')
+    .lean();
+  
+  await addEntries([ownerId], tweets);
+};
+
+// Take an author's tweets out of a timeline, e.g. after an unfollow or block
+const purgeAuthor = (ownerId, authorId) =>
+  getTimelineStore().removeAuthor(ownerId, authorId);
+
+// Take deleted tweets out of every timeline
+const removeFromTimelines = (tweetIds) =>
+  getTimelineStore().removeTweets(tweetIds);
+
+// Tweets by the viewer and the accounts they follow that match `filter`,
+// read straight from the tweets in the same shape as store entries
+const followedTweets = async (filter, visibility, { bound, direction, limit }) => {
+  const conditions = [
+    filter,
+    { user: { $in: [visibility.viewerId, ...visibility.followingIds] } }
+  ];
+  
+  if (bound) {
+    const op = direction === 1 ? '$gt' : '$lt';
+    conditions.push({
+      $or: [
+        { createdAt: { [op]: bound.createdAt } },
+        { createdAt: bound.createdAt, _id: { [op]: new mongoose.Types.ObjectId(bound.tweet) } }
+      ]
+    });
+  }
+  
+  const tweets = await Tweet.find({ $and: conditions })
+    .sort({ createdAt: direction, _id: direction })
+    .limit(limit)
+    .select('createdAt')
+    .lean();
+  
+  return tweets.map(({ _id, createdAt }) => ({ tweet: _id.toString(), createdAt }));
+};
+
+// Tweets by high-follower accounts the viewer follows, which were never
+// fanned out
+const pullTweets = (visibility, range) =>
+  followedTweets({ pullOnRead: true }, visibility, range);
+
+// Read a page of a user's home timeline. Takes a page from
+// parsePageParams and returns the usual { data, nextCursor, prevCursor }
+// envelope, with cursors compatible with paginateQuery's.
+const readTimeline = async (visibility, page) => {
+  const cursor = page.after || page.before;
+  const backwards = Boolean(page.before && !page.after);
+  // Direction in which the read walks from the cursor
+  const direction = backwards ? 1 : -1;
+  
+  let bound = null;
+  if (cursor) {
+    const [value, id] = cursor;
+    if (!mongoose.isValidObjectId(id) || Number.isNaN(Date.parse(value))) {
+      return { data: [], nextCursor: null, prevCursor: null };
+    }
+    bound = { createdAt: new Date(value), tweet: id };
+  }
+  
+  const range = { bound, direction, limit: page.limit + 1 };
+  const [stored, pulled] = await Promise.all([
+    getTimelineStore().range(visibility.viewerId, range),
+    pullTweets(visibility, range)
+  ]);
+  
+  // Past the retention cutoff the store has nothing left, so once the walk
+  // could reach it the older tweets are read directly
+  const cutoff = new Date(Date.now() - RETENTION_MS);
+  const reachesCutoff = direction === -1
+    ? stored.length < range.limit || stored[stored.length - 1].createdAt < cutoff
+    : Boolean(bound) && bound.createdAt < cutoff;
+  const aged = reachesCutoff
+    ? await followedTweets({ createdAt: { $lt: cutoff } }, visibility, range)
+    : [];
+  
+  // Merge the sources in walk order, dropping tweets found in more than one
+  const merged = [...new Map([...stored, ...pulled, ...aged].map(entry => [entry.tweet, entry])).values()]
+    .sort((a, b) => (a.createdAt - b.createdAt || a.tweet.localeCompare(b.tweet)) * direction);
+  
+  const hasMore = merged.length > page.limit;
+  const entries = merged.slice(0, page.limit);
+  if (backwards) {
+    entries.reverse();
+  }
+  
+  // Mutes and muted words can change at any time, so they are applied here
+  // rather than when the timeline is written
+  const tweets = await populateTweet(
+    Tweet.find(withVisibility({ _id: { $in: entries.map(entry => entry.tweet) } }, visibility))
+  );
+  const byId = new Map(tweets.map(tweet => [tweet._id.toString(), tweet]));
+  
+  const data = filterEmbedded(
+    entries.map(entry => byId.get(entry.tweet)).filter(Boolean),
+    visibility
+  );
+  
+  // Cursors come from the entries rather than the visible tweets, so a page
+  // whose tweets are all hidden still leads on to the next one
+  const cursorFor = entry =>
+    encodeCursor([new Date(entry.createdAt).toISOString(), entry.tweet, 'date']);
+  
+  return {
+    data,
+    nextCursor: (backwards || hasMore) && entries.length ? cursorFor(entries[entries.length - 1]) : null,
+    prevCursor: entries.length
+      ? cursorFor(entries[0])
+      : (page.before ? encodeCursor(page.before) : null)
+  };
+};
+
+module.exports = {
+  RETENTION_MS,
+  MongoStore,
+  MemoryStore,
+  getTimelineStore,
+  setTimelineStore,
+  fanOutTweets,
+  fanOutTweet,
+  backfillAuthor,
+  purgeAuthor,
+  removeFromTimelines,
+  readTimeline
+};
@@ -0,0 +1,76 @@
+// Keeps timelines in this process, for development and tests. Nothing
+// survives a restart and instances don't share timelines.
+class MemoryStore {
+  constructor() {
+    // owner id -> Map of tweet id -> { tweet, author, createdAt, expiresAt }
+    this.timelines = new Map();
+  }
+  
+  async add(ownerIds, entries) {
+    for (const owner of ownerIds.map(String)) {
+      if (!this.timelines.has(owner)) {
+        this.timelines.set(owner, new Map());
+      }
+      const timeline = this.timelines.get(owner);
+      for (const entry of entries) {
+        const tweet = entry.tweet.toString();
+        if (!timeline.has(tweet)) {
+          timeline.set(tweet, {
+            tweet,
+            author: entry.author.toString(),
+            createdAt: new Date(entry.createdAt),
+            expiresAt: new Date(entry.expiresAt)
+          });
+        }
+      }
+    }
+  }
+  
+  async removeAuthor(ownerId, authorId) {
+    const timeline = this.timelines.get(ownerId.toString());
+    if (!timeline) return;
+    
+    for (const [tweet, entry] of timeline) {
+      if (entry.author === authorId.toString()) {
+        timeline.delete(tweet);
+      }
+    }
+  }
+  
+  async removeTweets(tweetIds) {
+    for (const timeline of this.timelines.values()) {
+      for (const id of tweetIds) {
+        timeline.delete(id.toString());
+      }
+    }
+  }
+  
+  async range(ownerId, { bound, direction, limit }) {
+    const timeline = this.timelines.get(ownerId.toString());
+    if (!timeline) return [];
+    
+    // Ascending by (createdAt, tweet id); ids are fixed-length hex so they
+    // compare correctly as strings
+    const compare = (a, b) =>
+      a.createdAt - b.createdAt || a.tweet.localeCompare(b.tweet);
+    
+    // Drop aged-out entries, as MongoDB's TTL index would
+    const now = new Date();
+    for (const [tweet, entry] of timeline) {
+      if (entry.expiresAt <= now) {
+        timeline.delete(tweet);
+      }
+    }
+    
+    return [...timeline.values()]
+      .filter(entry => !bound || Math.sign(compare(entry, {
+        createdAt: bound.createdAt,
+        tweet: bound.tweet.toString()
+      })) === direction)
+      .sort((a, b) => compare(a, b) * direction)
+      .slice(0, limit)
+      .map(({ tweet, createdAt }) => ({ tweet, createdAt }));
+  }
+}
+
+module.exports = MemoryStore;
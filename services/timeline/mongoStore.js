@@ -0,0 +1,57 @@
+const TimelineEntry = require('../../models/TimelineEntry');
+
+// Upserts per write, so fan-out and backfill are safe to repeat
+const BATCH_SIZE = 1000;
+
+// Keeps timelines in the TimelineEntry collection
+class MongoStore {
+  async add(ownerIds, entries) {
+    const operations = ownerIds.flatMap(owner => entries.map(entry => ({
+      updateOne: {
+        filter: { owner, tweet: entry.tweet },
+        update: {
+          $setOnInsert: {
+            author: entry.author,
+            createdAt: entry.createdAt,
+            expiresAt: entry.expiresAt
+          }
+        },
+        upsert: true
+      }
+    })));
+    
+    for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+      await TimelineEntry.bulkWrite(operations.slice(i, i + BATCH_SIZE), { ordered: false });
+    }
+  }
+  
+  async removeAuthor(ownerId, authorId) {
+    await TimelineEntry.deleteMany({ owner: ownerId, author: authorId });
+  }
+  
+  async removeTweets(tweetIds) {
+    await TimelineEntry.deleteMany({ tweet: { $in: tweetIds } });
+  }
+  
+  async range(ownerId, { bound, direction, limit }) {
+    const filter = { owner: ownerId };
+    
+    if (bound) {
+      const op = direction === 1 ? '$gt' : '$lt';
+      filter.$or = [
+        { createdAt: { [op]: bound.createdAt } },
+        { createdAt: bound.createdAt, tweet: { [op]: bound.tweet } }
+      ];
+    }
+    
+    const entries = await TimelineEntry.find(filter)
+      .sort({ createdAt: direction, tweet: direction })
+      .limit(limit)
+      .select('tweet createdAt')
+      .lean();
+    
+    return entries.map(({ tweet, createdAt }) => ({ tweet: tweet.toString(), createdAt }));
+  }
+}
+
+module.exports = MongoStore;
@@ -0,0 +1,163 @@
+const Tweet = require('../models/Tweet');
+const { notify, notifyMentions } = require('./notifications');
+const { publishTweet, publishTweetCounts } = require('./realtime');
+const { fanOutTweet } = require('./timeline');
+const { getVisibility, canSeeAuthor } = require('./visibility');
+const { attachMedia, detachMedia } = require('./media');
+const { populateTweet } = require('../utils/populate');
+const { resolveEntities } = require('../utils/entities');
+
+const BLOCKED_MESSAGE = 'You cannot interact with this user';
+
+const DUPLICATE_KEY = 11000;
+
+// An error for a tweet that cannot be posted as requested. `status` is the
+// HTTP status the request should be answered with.
+const rejectTweet = (status, message) => Object.assign(new Error(message), { status });
+
+// Resolve the tweet a retweet or quote should point at. Retweets are
+// flattened so that retweeting a retweet targets the original tweet.
+const findOriginalTweet = async (id) => {
+  const tweet = await Tweet.findById(id);
+  
+  if (tweet && tweet.isRetweet) {
+    return Tweet.findById(tweet.parent);
+  }
+  
+  return tweet;
+};
+
+// Whether a user may like, reply to or comment on a tweet: they must be able
+// to see its author, neither may have blocked the other and a moderator
+// must not have hidden it
+const canInteract = async (user, tweet) =>
+  !tweet.hiddenAt &&
+  canSeeAuthor(tweet.user._id || tweet.user, tweet.authorPrivate, await getVisibility(user));
+
+// Post a tweet, reply or quote by `author` and run everything that follows
+// a new tweet: reply counts, notifications, hashtag indexing, timeline
+// fan-out and realtime delivery. POST /api/tweets, quotes and scheduled
+// tweets all go through here.
+//
+// `media` lists Media ids to attach, taken from `mediaSource` (unattached
+// uploads by default; see services/media). `quotedTweet` is the tweet
+// being quoted, already checked by the caller. `poll` is
+// { options: [text], durationMinutes }.
+//
+// `id` fixes the new tweet's _id, so a caller retrying a publish can tell
+// from a duplicate key error that an earlier attempt already saved it.
+// Throws an error with a `status` when the reply target or media are
+// missing or off limits.
+const createTweet = async (author, {
+  content = '',
+  replyTo = null,
+  quotedTweet = null,
+  poll = null,
+  media = [],
+  mediaSource = {},
+  id
+} = {}) => {
+  const { entities, hashtags } = await resolveEntities(content);
+  
+  const newTweet = new Tweet({
+    user: author._id,
+    content,
+    authorPrivate: author.isPrivate,
+    entities,
+    hashtags
+  });
+  
+  if (id) {
+    newTweet._id = id;
+  }
+  
+  if (quotedTweet) {
+    newTweet.quotedTweet = quotedTweet._id;
+  }
+  
+  if (poll) {
+    newTweet.poll = {
+      options: poll.options.map(text => ({ text })),
+      closesAt: new Date(Date.now() + poll.durationMinutes * 60 * 1000)
+    };
+  }
+  
+  // Replies are regular tweets that hang off their parent
+  if (replyTo) {
+    const parent = await findOriginalTweet(replyTo);
+    
+    if (!parent) {
+      throw rejectTweet(404, 'Tweet to reply to not found');
+    }
+    
+    if (!(await canInteract(author, parent))) {
+      throw rejectTweet(403, BLOCKED_MESSAGE);
+    }
+    
+    newTweet.parent = parent._id;
+    newTweet.ancestors = [...parent.ancestors, parent._id];
+  }
+  
+  const target = { usage: 'tweet', tweet: newTweet._id };
+  
+  if (media.length) {
+    await attachMedia(author._id, media, target, mediaSource);
+    newTweet.media = media;
+  }
+  
+  let tweet;
+  
+  try {
+    tweet = await newTweet.save();
+  } catch (error) {
+    // A duplicate means an earlier attempt saved the tweet with this media
+    if (media.length && error.code !== DUPLICATE_KEY) {
+      await detachMedia(media, target, mediaSource);
+    }
+    throw error;
+  }
+  
+  if (tweet.parent) {
+    const parent = await Tweet.findByIdAndUpdate(
+      tweet.parent,
+      { $inc: { replyCount: 1 } },
+      { new: true }
+    );
+    
+    if (parent) {
+      await publishTweetCounts(parent);
+      await notify({
+        recipient: parent.user,
+        actor: author._id,
+        type: 'reply',
+        tweet: tweet._id
+      });
+    }
+  }
+  
+  if (quotedTweet) {
+    await notify({
+      recipient: quotedTweet.user,
+      actor: author._id,
+      type: 'quote',
+      tweet: tweet._id
+    });
+  }
+  
+  await notifyMentions({ entities, actor: author._id, tweet: tweet._id });
+  
+  // Populate user info for the response and subscribers
+  await populateTweet(tweet);
+  
+  await fanOutTweet(tweet);
+  await publishTweet(tweet);
+  
+  return tweet;
+};
+
+module.exports = {
+  BLOCKED_MESSAGE,
+  findOriginalTweet,
+  canInteract,
+  createTweet
+};
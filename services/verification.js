@@ -0,0 +1,111 @@
+const User = require('../models/User');
+const VerificationRequest = require('../models/VerificationRequest');
+const VerificationEvent = require('../models/VerificationEvent');
+
+const DUPLICATE_KEY = 11000;
+
+// An error for a review that cannot go ahead. `status` is the HTTP status
+// the request should be answered with.
+const rejectReview = (status, message) => Object.assign(new Error(message), { status });
+
+// Close a pending request as approved or rejected. Only one of several
+// racing reviews gets the pending request.
+const closeRequest = async (admin, request, status, note = '') => {
+  const closed = await VerificationRequest.findOneAndUpdate(
+    { _id: request._id, status: 'pending' },
+    {
+      $set: {
+        status,
+        reviewedBy: admin._id,
+        reviewedAt: new Date(),
+        reviewNote: note
+      }
+    },
+    { new: true }
+  );
+  
+  if (!closed) {
+    throw rejectReview(409, 'This request has already been reviewed');
+  }
+  
+  return closed;
+};
+
+// Approve a pending request and verify its user
+const approveRequest = async (admin, request, note) => {
+  const approved = await closeRequest(admin, request, 'approved', note);
+  
+  await User.updateOne(
+    { _id: approved.user },
+    { $set: { isVerified: true, verifiedAt: approved.reviewedAt } }
+  );
+  await VerificationEvent.create({
+    user: approved.user,
+    action: 'approved',
+    actor: admin._id,
+    request: approved._id,
+    reason: note
+  });
+  
+  return approved;
+};
+
+const rejectRequest = (admin, request, note) => closeRequest(admin, request, 'rejected', note);
+
+// Take a user's verification away. `actor` is the admin doing it, or null
+// when it happens automatically. Returns false if the user wasn't verified.
+const revokeVerification = async (userId, { actor = null, reason = '' } = {}) => {
+  const revoked = await User.findOneAndUpdate(
+    { _id: userId, isVerified: true },
+    { $set: { isVerified: false }, $unset: { verifiedAt: 1 } }
+  );
+  
+  if (!revoked) {
+    return false;
+  }
+  
+  await VerificationEvent.create({
+    user: userId,
+    action: 'revoked',
+    actor: actor && actor._id,
+    reason
+  });
+  
+  return true;
+};
+
+// A verified user who renames themselves loses the badge until an admin
+// has looked at them again, so queue their last approved application for
+// another review
+const revokeForProfileChange = async (userId) => {
+  if (!(await revokeVerification(userId, { reason: 'Name or username changed' }))) {
+    return;
+  }
+  
+  const approved = await VerificationRequest.findOne({ user: userId, status: 'approved' })
+    .sort({ reviewedAt: -1 });
+  
+  if (!approved) {
+    return;
+  }
+  
+  try {
+    await VerificationRequest.create({
+      user: userId,
+      category: approved.category,
+      links: approved.links,
+      notes: approved.notes,
+      reopened: true
+    });
+  } catch (error) {
+    // The user already has an application waiting
+    if (error.code !== DUPLICATE_KEY) throw error;
+  }
+};
+
+module.exports = {
+  approveRequest,
+  rejectRequest,
+  revokeVerification,
+  revokeForProfileChange
+};
@@ -0,0 +1,92 @@
+const Tweet = require('../models/Tweet');
+const Bookmark = require('../models/Bookmark');
+const PollVote = require('../models/PollVote');
+const { likedIds } = require('./likes');
+const { followedIds } = require('./follows');
+const { pollView } = require('../utils/polls');
+
+// Per-viewer flags for API responses. Each function takes documents (or
+// plain objects) and returns plain objects with the flags set; anonymous
+// viewers get every flag false.
+
+const toObject = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+const viewerIdOf = (viewer) => (viewer ? viewer._id || viewer : null);
+
+// A populated tweet, as opposed to an unpopulated reference to one
+const isTweet = (value) => Boolean(value && value.user);
+
+// Set likedByMe, retweetedByMe and bookmarkedByMe on tweets and on the
+// retweeted, replied-to and quoted tweets embedded in them, and replace
+// their polls with what the viewer may see (see utils/polls.js)
+const withTweetState = async (tweets, viewer) => {
+  const objects = tweets.map(toObject);
+  const all = objects
+    .flatMap(tweet => [tweet, tweet && tweet.parent, tweet && tweet.quotedTweet])
+    .filter(isTweet);
+  
+  const viewerId = viewerIdOf(viewer);
+  const ids = all.map(tweet => tweet._id);
+  const pollIds = all.filter(tweet => tweet.poll).map(tweet => tweet._id);
+  
+  const [liked, retweets, bookmarks, votes] = await Promise.all([
+    likedIds(viewerId, 'Tweet', ids),
+    viewerId && ids.length
+      ? Tweet.find({ user: viewerId, isRetweet: true, parent: { $in: ids } }).select('parent').lean()
+      : [],
+    viewerId && ids.length
+      ? Bookmark.find({ user: viewerId, tweet: { $in: ids } }).select('tweet').lean()
+      : [],
+    viewerId && pollIds.length
+      ? PollVote.find({ user: viewerId, tweet: { $in: pollIds } }).select('tweet option').lean()
+      : []
+  ]);
+  const retweeted = new Set(retweets.map(retweet => retweet.parent.toString()));
+  const bookmarked = new Set(bookmarks.map(bookmark => bookmark.tweet.toString()));
+  const votedOptions = new Map(votes.map(vote => [vote.tweet.toString(), vote.option]));
+  
+  for (const tweet of all) {
+    tweet.likedByMe = liked.has(tweet._id.toString());
+    tweet.retweetedByMe = retweeted.has(tweet._id.toString());
+    tweet.bookmarkedByMe = bookmarked.has(tweet._id.toString());
+    
+    if (tweet.poll) {
+      tweet.poll = pollView(tweet.poll, {
+        votedOption: votedOptions.has(tweet._id.toString()) ? votedOptions.get(tweet._id.toString()) : null,
+        isAuthor: Boolean(viewerId) && (tweet.user._id || tweet.user).toString() === viewerId.toString()
+      });
+    }
+  }
+  
+  return objects;
+};
+
+// Set likedByMe on comments
+const withCommentState = async (comments, viewer) => {
+  const objects = comments.map(toObject);
+  const liked = await likedIds(viewerIdOf(viewer), 'Comment', objects.map(comment => comment._id));
+  
+  for (const comment of objects) {
+    comment.likedByMe = liked.has(comment._id.toString());
+  }
+  
+  return objects;
+};
+
+// Set followedByMe on users
+const withUserState = async (users, viewer) => {
+  const objects = users.map(toObject);
+  const followed = await followedIds(viewerIdOf(viewer), objects.map(user => user._id));
+  
+  for (const user of objects) {
+    user.followedByMe = followed.has(user._id.toString());
+  }
+  
+  return objects;
+};
+
+module.exports = {
+  withTweetState,
+  withCommentState,
+  withUserState
+};
@@ -0,0 +1,162 @@
+const User = require('../models/User');
+const { followingIdsOf } = require('./follows');
+const { normalizeHashtag } = require('../utils/entities');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const idsOf = (users) => users.map(user => (user._id || user).toString());
+
+// What an anonymous viewer may see: everything but private accounts
+const ANONYMOUS = {
+  viewerId: null,
+  followingIds: [],
+  blockedIds: [],
+  hiddenUserIds: [],
+  mutedHashtags: [],
+  mutedPattern: null
+};
+
+// Work out what a viewer must not see. Private accounts are only visible
+// to their approved followers. Blocks hide content in both directions;
+// mutes and muted words only affect the user who set them.
+const getVisibility = async (viewer) => {
+  if (!viewer) {
+    return ANONYMOUS;
+  }
+  
+  const [me, blockedBy, following] = await Promise.all([
+    User.findById(viewer._id).select('blocked muted mutedWords'),
+    User.find({ blocked: viewer._id }).select('_id'),
+    followingIdsOf(viewer._id)
+  ]);
+  
+  if (!me) {
+    return ANONYMOUS;
+  }
+  
+  const now = new Date();
+  const words = me.mutedWords
+    .filter(word => !word.expiresAt || word.expiresAt > now)
+    .map(word => word.keyword);
+  
+  const mutedKeywords = words.filter(word => !word.startsWith('#'));
+  
+  return {
+    viewerId: viewer._id.toString(),
+    followingIds: idsOf(following),
+    blockedIds: [...new Set([...idsOf(me.blocked), ...idsOf(blockedBy)])],
+    hiddenUserIds: [...new Set([...idsOf(me.blocked), ...idsOf(me.muted), ...idsOf(blockedBy)])],
+    mutedHashtags: words.filter(word => word.startsWith('#')).map(normalizeHashtag),
+    mutedPattern: mutedKeywords.length
+      ? new RegExp(`(^|[^\\w])(${mutedKeywords.map(escapeRegex).join('|')})([^\\w]|$)`, 'i')
+      : null
+  };
+};
+
+// Whether the viewer may see content by an author, given whether the
+// author's account is private
+const canSeeAuthor = (authorId, authorPrivate, visibility) => {
+  const id = authorId.toString();
+  
+  if (visibility.blockedIds.includes(id)) {
+    return false;
+  }
+  
+  return !authorPrivate ||
+    id === visibility.viewerId ||
+    visibility.followingIds.includes(id);
+};
+
+// Narrow a tweet or comment filter to what the viewer may see
+const withVisibility = (filter, visibility) => {
+  // Content hidden by moderators is never shown
+  const conditions = [filter, { hiddenAt: null }];
+  
+  // Private authors' content only reaches the author and their followers
+  const approvedIds = visibility.viewerId
+    ? [visibility.viewerId, ...visibility.followingIds]
+    : [];
+  conditions.push({
+    $or: [
+      { authorPrivate: { $ne: true } },
+      { user: { $in: approvedIds } }
+    ]
+  });
+  
+  if (visibility.hiddenUserIds.length) {
+    conditions.push({ user: { $nin: visibility.hiddenUserIds } });
+  }
+  if (visibility.mutedHashtags.length) {
+    conditions.push({ hashtags: { $nin: visibility.mutedHashtags } });
+  }
+  if (visibility.mutedPattern) {
+    conditions.push({ content: { $not: visibility.mutedPattern } });
+  }
+  
+  return { $and: conditions };
+};
+
+// Whether a populated tweet (or comment) should be hidden from the viewer
+const isHidden = (tweet, visibility) => {
+  if (!tweet) {
+    return false;
+  }
+  
+  const authorId = (tweet.user && tweet.user._id ? tweet.user._id : tweet.user || '').toString();
+  
+  return Boolean(tweet.hiddenAt) ||
+    visibility.hiddenUserIds.includes(authorId) ||
+    !canSeeAuthor(authorId, tweet.authorPrivate, visibility) ||
+    (tweet.hashtags || []).some(tag => visibility.mutedHashtags.includes(tag)) ||
+    Boolean(visibility.mutedPattern && visibility.mutedPattern.test(tweet.content || ''));
+};
+
+// Query filters can't see into populated tweets, so drop retweets of
+// hidden tweets and blank out hidden quoted tweets and reply parents
+// after the fact
+const filterEmbedded = (tweets, visibility) =>
+  tweets
+    .filter(tweet => !(tweet.isRetweet && isHidden(tweet.parent, visibility)))
+    .map(tweet => {
+      if (!tweet.isRetweet && isHidden(tweet.parent, visibility)) {
+        tweet.parent = null;
+      }
+      if (isHidden(tweet.quotedTweet, visibility)) {
+        tweet.quotedTweet = null;
+      }
+      return tweet;
+    });
+
+// Whether either user has blocked the other
+const isBlockedBetween = async (userId, otherId) => {
+  const block = await User.exists({
+    $or: [
+      { _id: userId, blocked: otherId },
+      { _id: otherId, blocked: userId }
+    ]
+  });
+  
+  return Boolean(block);
+};
+
+// Whether `recipient` should hear about things `actor` does
+const isSilencedBy = async (recipient, actor) => {
+  const silenced = await User.exists({
+    $or: [
+      { _id: recipient, $or: [{ blocked: actor }, { muted: actor }] },
+      { _id: actor, blocked: recipient }
+    ]
+  });
+  
+  return Boolean(silenced);
+};
+
+module.exports = {
+  getVisibility,
+  canSeeAuthor,
+  withVisibility,
+  isHidden,
+  filterEmbedded,
+  isBlockedBetween,
+  isSilencedBy
+};
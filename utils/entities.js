@@ -0,0 +1,65 @@
+const User = require('../models/User');
+
+// A hashtag must contain at least one letter so that "#1" is not a tag
+const HASHTAG_REGEX = /(^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_]*[\p{L}_][\p{L}\p{N}_]*)/gu;
+// Usernames are at most 20 word characters (see models/User.js)
+const MENTION_REGEX = /(^|[^\w@])@(\w{1,20})(?!\w)/g;
+
+// Normalised form used for indexing and lookups
+const normalizeHashtag = (tag) => tag.replace(/^#/, '').toLowerCase();
+
+// Find hashtags and @mentions in plain text.
+// Indices are [start, end) offsets into the string, covering the leading
+// "#" or "@", so clients can render links without re-parsing.
+const extractEntities = (text = '') => {
+  const hashtags = [];
+  const mentions = [];
+  
+  for (const match of text.matchAll(HASHTAG_REGEX)) {
+    const start = match.index + match[1].length;
+    hashtags.push({
+      text: match[2],
+      indices: [start, start + match[2].length + 1]
+    });
+  }
+  
+  for (const match of text.matchAll(MENTION_REGEX)) {
+    const start = match.index + match[1].length;
+    mentions.push({
+      username: match[2].toLowerCase(),
+      indices: [start, start + match[2].length + 1]
+    });
+  }
+  
+  return { hashtags, mentions };
+};
+
+// Extract entities and resolve mentions against existing usernames.
+// Mentions of unknown users are dropped. Returns the entities to store and
+// the de-duplicated, normalised hashtag list to index.
+const resolveEntities = async (text) => {
+  const { hashtags, mentions } = extractEntities(text);
+  
+  const usernames = [...new Set(mentions.map(mention => mention.username))];
+  const users = usernames.length
+    ? await User.find({ username: { $in: usernames } }).select('_id username')
+    : [];
+  
+  const resolvedMentions = mentions
+    .map(mention => {
+      const user = users.find(u => u.username === mention.username);
+      return user ? { ...mention, user: user._id } : null;
+    })
+    .filter(Boolean);
+  
+  return {
+    entities: { hashtags, mentions: resolvedMentions },
+    hashtags: [...new Set(hashtags.map(tag => normalizeHashtag(tag.text)))]
+  };
+};
+
+module.exports = {
+  normalizeHashtag,
+  extractEntities,
+  resolveEntities
+};
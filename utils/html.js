@@ -0,0 +1,10 @@
+// Escape text for use in HTML content and double-quoted attributes
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+module.exports = {
+  escapeHtml
+};
@@ -0,0 +1,132 @@
+// File types are worked out from the file's leading bytes rather than
+// trusting the name or Content-Type the client sent.
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm'
+};
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+// The MIME type of a supported image or video, or null
+const sniffMimeType = (buffer) => {
+  if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return 'image/gif';
+  if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) return 'image/webp';
+  if (startsWith(buffer, ascii('ftyp'), 4)) {
+    return startsWith(buffer, ascii('qt  '), 8) ? 'video/quicktime' : 'video/mp4';
+  }
+  if (startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3])) return 'video/webm';
+  return null;
+};
+
+// "image", "gif" or "video" for a supported MIME type, otherwise null
+const mediaKindOf = (mimeType) => {
+  if (mimeType === 'image/gif') return 'gif';
+  if (!EXTENSIONS[mimeType]) return null;
+  return mimeType.startsWith('video/') ? 'video' : 'image';
+};
+
+const extensionFor = (mimeType) => EXTENSIONS[mimeType];
+
+// Start-of-frame markers carry a JPEG's size; C4, C8 and CC are other segments
+const JPEG_SOF = [0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+
+const jpegDimensions = (buffer) => {
+  let offset = 2;
+  
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xFF) return null;
+    
+    const marker = buffer[offset + 1];
+    // Fill bytes before a marker
+    if (marker === 0xFF) {
+      offset++;
+      continue;
+    }
+    if (JPEG_SOF.includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  
+  return null;
+};
+
+const webpDimensions = (buffer) => {
+  if (buffer.length < 30) return null;
+  
+  if (startsWith(buffer, ascii('VP8 '), 12)) {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3FFF,
+      height: buffer.readUInt16LE(28) & 0x3FFF
+    };
+  }
+  if (startsWith(buffer, ascii('VP8L'), 12)) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+  }
+  if (startsWith(buffer, ascii('VP8X'), 12)) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+};
+
+// Track headers ("tkhd" boxes) end with the track's size as 16.16 fixed
+// point numbers; the first track with a size is the video track
+const mp4Dimensions = (buffer) => {
+  let index = buffer.indexOf('tkhd');
+  
+  while (index >= 4) {
+    const end = index - 4 + buffer.readUInt32BE(index - 4);
+    
+    if (end <= buffer.length && end >= index + 8) {
+      const width = Math.round(buffer.readUInt32BE(end - 8) / 65536);
+      const height = Math.round(buffer.readUInt32BE(end - 4) / 65536);
+      if (width && height) return { width, height };
+    }
+    index = buffer.indexOf('tkhd', index + 4);
+  }
+  
+  return null;
+};
+
+// Width and height in pixels, or null when they can't be read (e.g. WebM)
+const readDimensions = (buffer, mimeType) => {
+  switch (mimeType) {
+    case 'image/png':
+      return buffer.length >= 24
+        ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+        : null;
+    case 'image/gif':
+      return buffer.length >= 10
+        ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }
+        : null;
+    case 'image/jpeg':
+      return jpegDimensions(buffer);
+    case 'image/webp':
+      return webpDimensions(buffer);
+    case 'video/mp4':
+    case 'video/quicktime':
+      return mp4Dimensions(buffer);
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  sniffMimeType,
+  mediaKindOf,
+  extensionFor,
+  readDimensions
+};
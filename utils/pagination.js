@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Cursors are opaque to clients: a base64url-encoded JSON array holding the
+// sort key and _id of the item they point at. Keying on (createdAt, _id)
+// rather than an offset keeps pages stable while new items are inserted.
+const encodeCursor = (values) =>
+  Buffer.from(JSON.stringify(values)).toString('base64url');
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+const isScalar = (value) => typeof value === 'string' || typeof value === 'number';
+
+// Returns the decoded array, or null when the cursor is malformed. Cursor
+// values end up in queries, so anything but strings and numbers (such as
+// an injected { "$ne": null }) is refused.
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Array.isArray(values) && values.every(isScalar) ? values : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Cursor shapes, checked before a cursor is used:
+// paginateQuery's (and the home timeline's) [sort value, _id, 'date'?]
+const isKeyCursor = ([value, id]) =>
+  isScalar(value) && typeof id === 'string' && OBJECT_ID.test(id);
+
+// paginateIdArray's [id, position]
+const isIdArrayCursor = ([id, position]) =>
+  typeof id === 'string' && OBJECT_ID.test(id) && Number.isInteger(position);
+
+// Offsets into a ranked list, as used by search and the For You feed
+const isOffsetCursor = (values) => values.every(Number.isFinite);
+
+// Read `before`, `after` and `limit` from the query string.
+// `after` continues down the list (the next page), `before` walks back up
+// it (e.g. to poll for items newer than the top of a feed).
+// Returns null when a cursor cannot be decoded or fails `isValidCursor`.
+const parsePageParams = (query, defaultLimit = DEFAULT_LIMIT, isValidCursor = isKeyCursor) => {
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || defaultLimit, 1),
+    MAX_LIMIT
+  );
+  
+  const page = { limit, before: null, after: null };
+  
+  for (const key of ['before', 'after']) {
+    if (query[key]) {
+      page[key] = decodeCursor(query[key]);
+      if (!page[key] || !isValidCursor(page[key])) {
+        return null;
+      }
+    }
+  }
+  
+  return page;
+};
+
+// Build the response envelope shared by every list endpoint
+const buildPage = (data, { hasNext, cursorFor, before }) => ({
+  data,
+  nextCursor: hasNext && data.length ? cursorFor(data[data.length - 1]) : null,
+  // Always handed out so clients can poll for newer items
+  prevCursor: data.length ? cursorFor(data[0]) : (before ? encodeCursor(before) : null)
+});
+
+// Paginate a collection ordered by `sortField` then _id.
+//
+// `order` is the direction of the list as presented: -1 for newest first,
+// 1 for oldest first. `populate` receives the query before it runs.
+const paginateQuery = async (Model, filter, page, options = {}) => {
+  const {
+    sortField = 'createdAt',
+    order = -1,
+    populate = query => query
+  } = options;
+  
+  const cursor = page.after || page.before;
+  const backwards = Boolean(page.before && !page.after);
+  // Direction in which the query walks from the cursor
+  const direction = backwards ? -order : order;
+  
+  let query = { ...filter };
+  
+  if (cursor) {
+    const [value, id, valueType] = cursor;
+    const sortValue = valueType === 'date' ? new Date(value) : value;
+    const op = direction === 1 ? '$gt' : '$lt';
+    
+    if (!mongoose.isValidObjectId(id)) {
+      return buildPage([], { hasNext: false, cursorFor: () => null });
+    }
+    
+    query = {
+      $and: [
+        filter,
+        {
+          $or: [
+            { [sortField]: { [op]: sortValue } },
+            { [sortField]: sortValue, _id: { [op]: new mongoose.Types.ObjectId(id) } }
+          ]
+        }
+      ]
+    };
+  }
+  
+  const docs = await populate(
+    Model.find(query)
+      .sort({ [sortField]: direction, _id: direction })
+      .limit(page.limit + 1)
+  );
+  
+  const hasMore = docs.length > page.limit;
+  const data = docs.slice(0, page.limit);
+  
+  if (backwards) {
+    data.reverse();
+  }
+  
+  const cursorFor = doc => {
+    const value = doc[sortField];
+    return value instanceof Date
+      ? encodeCursor([value.toISOString(), doc._id.toString(), 'date'])
+      : encodeCursor([value, doc._id.toString()]);
+  };
+  
+  return buildPage(data, {
+    // Walking backwards from a cursor always leaves the cursor item below
+    hasNext: backwards ? true : hasMore,
+    cursorFor,
+    before: page.before
+  });
+};
+
+// Paginate an embedded array of ids, newest (last pushed) first.
+// Cursors hold the id and position of the last item seen; the position is
+// only used when that id has since been removed from the array.
+const paginateIdArray = (ids, page) => {
+  const ordered = [...ids].reverse().map(id => id.toString());
+  
+  const indexOf = (cursor) => {
+    const [id, position] = cursor;
+    const index = ordered.indexOf(id);
+    return index !== -1 ? index : Math.min(Number(position) || 0, ordered.length);
+  };
+  
+  let start;
+  let end;
+  
+  if (page.after) {
+    start = indexOf(page.after) + 1;
+    end = start + page.limit;
+  } else if (page.before) {
+    end = indexOf(page.before);
+    start = Math.max(end - page.limit, 0);
+  } else {
+    start = 0;
+    end = page.limit;
+  }
+  
+  const data = ordered.slice(start, end);
+  
+  return buildPage(data, {
+    hasNext: end < ordered.length,
+    cursorFor: id => encodeCursor([id, ordered.indexOf(id)]),
+    before: page.before
+  });
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  isKeyCursor,
+  isIdArrayCursor,
+  isOffsetCursor,
+  parsePageParams,
+  paginateQuery,
+  paginateIdArray
+};
@@ -0,0 +1,28 @@
+// Poll durations accepted when posting, in minutes
+const MIN_DURATION_MINUTES = 5;
+const MAX_DURATION_MINUTES = 7 * 24 * 60;
+
+// What a viewer may see of a poll. Per-option counts are withheld until
+// the viewer has voted or the poll has closed; the author, who cannot
+// vote, always sees them.
+const pollView = (poll, { votedOption = null, isAuthor = false, now = new Date() } = {}) => {
+  const isClosed = new Date(poll.closesAt) <= now;
+  const showResults = isClosed || isAuthor || votedOption !== null;
+  
+  return {
+    options: poll.options.map(option => ({
+      text: option.text,
+      voteCount: showResults ? option.voteCount : null
+    })),
+    voteCount: poll.voteCount,
+    votedOption,
+    closesAt: poll.closesAt,
+    isClosed
+  };
+};
+
+module.exports = {
+  MIN_DURATION_MINUTES,
+  MAX_DURATION_MINUTES,
+  pollView
+};
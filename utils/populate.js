@@ -0,0 +1,28 @@
+// Fields exposed whenever a user is embedded in another document
+const USER_SUMMARY = 'name username profilePicture isVerified';
+
+// Fields exposed for media attached to a tweet
+const MEDIA_SUMMARY = 'kind mimeType url width height altText';
+
+const AUTHOR_AND_MEDIA = [
+  { path: 'user', select: USER_SUMMARY },
+  { path: 'media', select: MEDIA_SUMMARY }
+];
+
+// Author, media, retweeted original and quoted tweet, each with their own
+// author and media
+const TWEET_POPULATE = [
+  ...AUTHOR_AND_MEDIA,
+  { path: 'parent', populate: AUTHOR_AND_MEDIA },
+  { path: 'quotedTweet', populate: AUTHOR_AND_MEDIA }
+];
+
+// Populate a tweet query or document with everything a client needs to render it
+const populateTweet = (queryOrDoc) => queryOrDoc.populate(TWEET_POPULATE);
+
+module.exports = {
+  USER_SUMMARY,
+  MEDIA_SUMMARY,
+  TWEET_POPULATE,
+  populateTweet
+};
@@ -0,0 +1,162 @@
+// Scoring for the "For You" timeline. Everything here is pure: the same
+// candidates, context and weights always give the same order, so a ranking
+// can be reproduced from its inputs when debugging.
+//
+// A candidate is { tweet, sources, socialProof }: the tweet (plain object),
+// how it was found ('following', 'network' or 'trending') and how many
+// accounts the viewer follows retweeted it. The context is { now, affinity },
+// where affinity maps author ids to the viewer's recent interactions with
+// them.
+
+const HOUR = 60 * 60 * 1000;
+
+const countOf = (value) => (Array.isArray(value) ? value.length : value || 0);
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Score one candidate and return the parts that went into it
+const scoreCandidate = ({ tweet, sources, socialProof = 0 }, context, weights) => {
+  const authorId = (tweet.user._id || tweet.user).toString();
+  const ageHours = Math.max(0, (context.now - new Date(tweet.createdAt)) / HOUR);
+  
+  const interactions =
+    (tweet.likeCount || 0) * weights.like +
+    (tweet.retweetCount || 0) * weights.retweet +
+    ((tweet.replyCount || 0) + countOf(tweet.comments)) * weights.reply;
+  
+  const components = {
+    engagement: weights.engagement * Math.log1p(interactions),
+    affinity: weights.affinity * Math.log1p(context.affinity.get(authorId) || 0),
+    socialProof: weights.socialProof * Math.log1p(socialProof),
+    source: Math.max(0, ...sources.map(source => weights.sources[source] || 0)),
+    recency: Math.pow(0.5, ageHours / weights.halfLifeHours)
+  };
+  
+  const score = components.recency *
+    (components.engagement + components.affinity + components.socialProof + components.source);
+  
+  return { score, components };
+};
+
+// Higher score first; ties go to the newer tweet
+const compareScored = (a, b) =>
+  b.score - a.score || b.id.localeCompare(a.id);
+
+// Binary heap that pops items in compareScored order
+const createHeap = () => {
+  const items = [];
+  const before = (i, j) => compareScored(items[i], items[j]) < 0;
+  const swap = (i, j) => {
+    [items[i], items[j]] = [items[j], items[i]];
+  };
+  
+  return {
+    get size() {
+      return items.length;
+    },
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0 && before(i, (i - 1) >> 1)) {
+        swap(i, (i - 1) >> 1);
+        i = (i - 1) >> 1;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let first = i;
+          if (left < items.length && before(left, first)) {
+            first = left;
+          }
+          if (right < items.length && before(right, first)) {
+            first = right;
+          }
+          if (first === i) {
+            break;
+          }
+          swap(i, first);
+          i = first;
+        }
+      }
+      return top;
+    }
+  };
+};
+
+// Order candidates by score, spreading out tweets by the same author: each
+// pick lowers the author's remaining tweets by `authorDecay`, and no author
+// gets more than `maxPerAuthor`. Returns [{ tweet, score, explanation }].
+//
+// The penalty scales all of an author's remaining tweets alike, so their
+// own order never changes. Each author's tweets are sorted once and only
+// the author's best remaining tweet sits in the heap at a time.
+const rankCandidates = (candidates, context, weights) => {
+  const byAuthor = new Map();
+  for (const candidate of candidates) {
+    const { score, components } = scoreCandidate(candidate, context, weights);
+    const author = (candidate.tweet.user._id || candidate.tweet.user).toString();
+    if (!byAuthor.has(author)) {
+      byAuthor.set(author, []);
+    }
+    byAuthor.get(author).push({
+      candidate,
+      id: candidate.tweet._id.toString(),
+      author,
+      baseScore: score,
+      score,
+      components
+    });
+  }
+  
+  const heap = createHeap();
+  for (const items of byAuthor.values()) {
+    items.sort(compareScored);
+    heap.push(items[0]);
+  }
+  
+  const picked = new Map();
+  const ranked = [];
+  
+  while (heap.size) {
+    const next = heap.pop();
+    const count = (picked.get(next.author) || 0) + 1;
+    picked.set(next.author, count);
+    
+    ranked.push({
+      tweet: next.candidate.tweet,
+      score: next.score,
+      explanation: {
+        sources: next.candidate.sources,
+        socialProof: next.candidate.socialProof || 0,
+        baseScore: round(next.baseScore),
+        authorPenalty: round(Math.pow(weights.authorDecay, count - 1)),
+        components: Object.fromEntries(
+          Object.entries(next.components).map(([key, value]) => [key, round(value)])
+        )
+      }
+    });
+    
+    // Queue the author's next tweet, re-weighted, unless they're at the cap
+    const following = byAuthor.get(next.author)[count];
+    if (following && count < weights.maxPerAuthor) {
+      heap.push({
+        ...following,
+        score: following.baseScore * Math.pow(weights.authorDecay, count)
+      });
+    }
+  }
+  
+  return ranked;
+};
+
+module.exports = {
+  scoreCandidate,
+  rankCandidates
+};
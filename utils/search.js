@@ -0,0 +1,50 @@
+// Operators understood in the `q` parameter of GET api/search, e.g.
+// "pizza from:alice has:image since:2024-01-01 min_likes:10"
+const OPERATOR_REGEX = /(?:^|\s)(from|has|since|until|min_likes|min_faves):(\S+)/gi;
+
+// Split a search string into free text and structured filters.
+// Returns { text, filters, errors }.
+const parseSearchQuery = (q = '') => {
+  const filters = {};
+  const errors = [];
+  
+  const text = q.replace(OPERATOR_REGEX, (match, operator, value) => {
+    switch (operator.toLowerCase()) {
+      case 'from':
+        filters.from = value.replace(/^@/, '').toLowerCase();
+        break;
+      case 'has':
+        if (value.toLowerCase() === 'image') {
+          filters.hasImage = true;
+        } else {
+          errors.push(`Unsupported filter has:${value}`);
+        }
+        break;
+      case 'since':
+      case 'until': {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          errors.push(`Invalid date for ${operator}:`);
+        } else {
+          filters[operator.toLowerCase()] = date;
+        }
+        break;
+      }
+      default: {
+        const count = parseInt(value, 10);
+        if (Number.isNaN(count) || count < 0) {
+          errors.push(`Invalid count for ${operator}:`);
+        } else {
+          filters.minLikes = count;
+        }
+      }
+    }
+    return ' ';
+  }).replace(/\s+/g, ' ').trim();
+  
+  return { text, filters, errors };
+};
+
+module.exports = {
+  parseSearchQuery
+};